@@ -0,0 +1 @@
+Add autocomplete to the search bar, suggesting "your recent searches", popular searches of all users from a configurable index and values of configurable fields of matching documents. The index of popular searches is filled on the server.
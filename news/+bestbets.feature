@@ -0,0 +1 @@
+Add best bets: documents promoted for keywords are shown above the results.
@@ -0,0 +1 @@
+Add boosting by type, section and review state, e.g. Document^2 or File^0.5.
@@ -0,0 +1 @@
+Add a registry of query, highlight and facet aggregation builders and post-processors in config.settings.searchkitblock, selectable per block.
@@ -0,0 +1 @@
+Group results by a configurable field, e.g. translations of a page, with "+N related items" expanding inline.
@@ -0,0 +1 @@
+Add facet type "date range" with preset ranges and a custom range.
@@ -0,0 +1 @@
+Count results accurately up to 100000, show "more than N results" above and page beyond 10000 results with search_after. Reindex with the '@id' keyword mapping of docker-opensearch/ingest-configuration to sort pages beyond 10000 results stable.
@@ -0,0 +1 @@
+Add spelling suggestions "Did you mean: …" on few or no results.
@@ -0,0 +1 @@
+Add filter input to facets. Options of large facets are looked up on the server.
@@ -0,0 +1 @@
+Add per-facet operator "match any" or "match all" and exclusion of facet options.
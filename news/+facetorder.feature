@@ -0,0 +1 @@
+Add per-facet order of options, maximum number of fetched options and "show more".
@@ -0,0 +1 @@
+Add fielded search like titel:climate with configurable field aliases. Clauses on facet fields become facet selections.
@@ -0,0 +1 @@
+Add hierarchical facets with parent and child field or path-based taxonomy.
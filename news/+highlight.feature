@@ -0,0 +1 @@
+Make highlighted fields, fragment size, number of fragments, tags and highlighter type configurable.
@@ -0,0 +1 @@
+Add restriction to the current language with toggle "All languages", and optional language facet.
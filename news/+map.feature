@@ -0,0 +1 @@
+Add a map layout of results with clusters and a geo filter by area or distance, for content with coordinates.
@@ -0,0 +1 @@
+Add an optional "not specified" option to terms facets for documents without value.
@@ -0,0 +1 @@
+Add a "Similar" action to results to search for documents like it, with a banner to return to the search.
@@ -0,0 +1 @@
+Support nested fields: searched fields and facets on fields mapped as nested, with highlights of matching nested documents.
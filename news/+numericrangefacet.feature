@@ -0,0 +1 @@
+Add facet type "numeric range" with slider and histogram of the distribution of values. The interval of the histogram is set per facet.
@@ -0,0 +1 @@
+Add restriction of search to a path with toggle "This area" / "Whole site".
@@ -0,0 +1 @@
+Parse search strings with phrases, parentheses and the boolean operators AND, OR and NOT.
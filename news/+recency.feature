@@ -0,0 +1 @@
+Add optional recency boosting by a decay function on publication or modification date.
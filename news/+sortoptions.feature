@@ -0,0 +1 @@
+Make sort options configurable in the block, e.g. relevance, title A–Z or publication date.
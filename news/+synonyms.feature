@@ -0,0 +1 @@
+Add synonyms maintained in the block. Results show "Also searched for".
@@ -2,9 +2,11 @@ import {
   hasNonValueOperation,
   hasDateOperation,
 } from '@plone/volto/components/manage/Blocks/Search/utils';
+import config from '@plone/volto/registry';
 import messages from '../../messages';
+import { BUILDER_REGISTRIES, getBuilderChoices } from '../Searchkit/builders';
 
-const FacetSchema = ({ intl }) => ({
+const MetadataFieldSchema = ({ intl }) => ({
   title: intl.formatMessage(messages.facet),
   fieldsets: [
     {
@@ -42,7 +44,274 @@ const FacetSchema = ({ intl }) => ({
   required: ['field'],
 });
 
+const FacetSchema = ({ intl }) => {
+  const schema = MetadataFieldSchema({ intl });
+  return {
+    ...schema,
+    fieldsets: [
+      {
+        id: 'default',
+        title: 'Default',
+        fields: ['title', 'field', 'type'],
+      },
+    ],
+    properties: {
+      ...schema.properties,
+      type: {
+        title: intl.formatMessage(messages.facetType),
+        choices: [
+          ['terms', 'Terms'],
+          ['daterange', 'Date range'],
+          ['numericrange', 'Numeric range'],
+          ['hierarchical', 'Hierarchical'],
+        ],
+        default: 'terms',
+      },
+    },
+  };
+};
+
+/**
+ * Append options to the default fieldset of the facet schema
+ * @param {Object} schema facet schema
+ * @param {Object} properties options by field name
+ * @returns {Object} extended schema
+ */
+const addFacetOptions = (schema, properties) => ({
+  ...schema,
+  fieldsets: [
+    {
+      ...schema.fieldsets[0],
+      fields: [...schema.fieldsets[0].fields, ...Object.keys(properties)],
+    },
+    ...schema.fieldsets.slice(1),
+  ],
+  properties: {
+    ...schema.properties,
+    ...properties,
+  },
+});
+
+/**
+ * Options of facets with buckets of terms
+ */
+const bucketsOptions = {
+  order: {
+    title: 'Order of options',
+    choices: [
+      ['label', 'Label'],
+      ['count', 'Count'],
+      ['key', 'Key'],
+      ['vocabulary', 'Vocabulary'],
+    ],
+    default: 'label',
+  },
+  size: {
+    title: 'Maximum number of options',
+    description: 'Number of options fetched from the server.',
+    type: 'number',
+    default: 500,
+  },
+  visible: {
+    title: 'Number of visible options',
+    description:
+      "Further options are shown on 'show more'. Leave empty to show all options.",
+    type: 'number',
+  },
+};
+
+/**
+ * Add options of the selected facet type to the facet schema
+ */
+const facetSchemaExtender = (schema, data, intl) => {
+  if (data?.type === 'numericrange') {
+    return {
+      ...addFacetOptions(schema, {
+        interval: {
+          title: 'Interval',
+          description:
+            'Width of the bars of the distribution histogram and step of the slider. Choose it to get at most some hundred bars between the smallest and the largest value.',
+          type: 'number',
+        },
+      }),
+      required: [...schema.required, 'interval'],
+    };
+  }
+  if (data?.type === 'hierarchical') {
+    return addFacetOptions(schema, {
+      child_field: {
+        ...schema.properties.field,
+        title: intl.formatMessage(messages.childField),
+        description:
+          'Field of sub-categories. Leave empty for a path-based taxonomy in the facet field.',
+      },
+      path_separator: {
+        title: 'Path separator',
+        description:
+          "Single character separating parent and child of a path-based taxonomy, e.g. '/'. The field holds both, 'parent' and 'parent/child'.",
+      },
+      ...bucketsOptions,
+    });
+  }
+  if (!data?.type || data.type === 'terms') {
+    return addFacetOptions(schema, {
+      operator: {
+        title: intl.formatMessage(messages.operator),
+        description:
+          'Find results with any or with all of the selected options. Options can be excluded in both cases.',
+        choices: [
+          ['or', 'Match any'],
+          ['and', 'Match all'],
+        ],
+        default: 'or',
+      },
+      ...bucketsOptions,
+      large: {
+        title: 'Large facet',
+        description:
+          'Values beyond the maximum number of options are looked up on the server when filtering the options.',
+        type: 'boolean',
+      },
+      show_missing: {
+        title: 'Option "not specified"',
+        description:
+          'Add an option for documents without value. Not available for nested facets.',
+        type: 'boolean',
+      },
+      nested_subfield: {
+        title: 'Nested subfield',
+        description:
+          "For a facet field mapped as nested: subfield of the options, e.g. 'token'. Options are counted per document.",
+      },
+    });
+  }
+  return schema;
+};
+
+const FieldAliasSchema = ({ intl }) => ({
+  title: 'Field alias',
+  fieldsets: [
+    {
+      id: 'default',
+      title: 'Default',
+      fields: ['alias', 'field'],
+    },
+  ],
+  properties: {
+    alias: {
+      title: 'Alias',
+      description:
+        "Field name typed by users, e.g. 'titel' for 'titel:climate'",
+    },
+    field: {
+      title: intl.formatMessage(messages.field),
+      description:
+        'Name of a field, e.g. title. Facet fields are filtered, other fields are searched.',
+    },
+  },
+  required: ['alias', 'field'],
+});
+
+const BestBetSchema = ({ intl }) => ({
+  title: 'Best bet',
+  fieldsets: [
+    {
+      id: 'default',
+      title: 'Default',
+      fields: ['keywords', 'items'],
+    },
+  ],
+  properties: {
+    keywords: {
+      title: 'Keywords',
+      description:
+        'Search strings containing one of the keywords show the documents above the results.',
+      type: 'array',
+      creatable: true,
+    },
+    items: {
+      title: 'Documents',
+      widget: 'object_browser',
+      mode: 'link',
+      allowExternals: false,
+    },
+  },
+  required: ['keywords', 'items'],
+});
+
+const SortOptionSchema = ({ intl }) => ({
+  title: 'Sort option',
+  fieldsets: [
+    {
+      id: 'default',
+      title: 'Default',
+      fields: ['label', 'field', 'order', 'default'],
+    },
+  ],
+  properties: {
+    label: {
+      title: intl.formatMessage(messages.label),
+      description: 'Leave empty for a translated label of the field.',
+    },
+    field: {
+      title: intl.formatMessage(messages.field),
+      choices: [
+        ['bestmatch', 'Relevance'],
+        ['sortable_title.keyword', 'Title A–Z'],
+        ['effective', 'Publication date'],
+        ['modified', 'Modification date'],
+        ['created', 'Creation date'],
+      ],
+    },
+    order: {
+      title: 'Order',
+      choices: [
+        ['asc', 'Ascending'],
+        ['desc', 'Descending'],
+      ],
+      default: 'asc',
+    },
+    default: {
+      title: 'Default',
+      description: 'Sort results by this option initially.',
+      type: 'boolean',
+    },
+  },
+  required: ['field'],
+});
+
+const HighlightFieldSchema = ({ intl }) => ({
+  title: 'Highlighted field',
+  fieldsets: [
+    {
+      id: 'default',
+      title: 'Default',
+      fields: ['field', 'label'],
+    },
+  ],
+  properties: {
+    field: {
+      title: intl.formatMessage(messages.field),
+      description: 'Name of a searchable field, e.g. blocks_plaintext',
+    },
+    label: {
+      title: intl.formatMessage(messages.label),
+      description: 'Label shown with the matches in this field',
+    },
+  },
+  required: ['field'],
+});
+
 export const SearchBlockSchema = ({ data = {}, intl }) => {
+  // Builders registered by add-ons
+  const settings = config.settings.searchkitblock;
+  const builderFields = Object.keys(BUILDER_REGISTRIES).filter(
+    (fieldname) =>
+      Object.keys(settings?.[BUILDER_REGISTRIES[fieldname]] || {}).length,
+  );
+  const builderChoices = (fieldname) =>
+    getBuilderChoices(settings?.[BUILDER_REGISTRIES[fieldname]]);
+
   return {
     title: intl.formatMessage(messages.searchBlock),
     fieldsets: [
@@ -64,6 +333,7 @@ export const SearchBlockSchema = ({ data = {}, intl }) => {
           'allow_search_excluded_sections',
           'show_filter_for_excluded_sections',
           'facet_fields',
+          'language_facet',
           'filterLayout',
         ],
       },
@@ -71,16 +341,77 @@ export const SearchBlockSchema = ({ data = {}, intl }) => {
         id: 'search',
         title: 'Search',
         fields: [
+          'path',
+          'allow_search_whole_site',
           'allowed_content_types',
           'allowed_review_states',
+          'restrict_to_language',
           'searchedFields',
+          'nested_paths',
+          'synonyms',
+          'field_aliases',
+          'suggest_field',
+          'autocomplete',
+          'autocomplete_fields',
+          'popular_searches_index',
+          'best_bets',
+        ],
+      },
+      {
+        id: 'ranking',
+        title: 'Ranking',
+        fields: [
+          'type_boosts',
+          'section_boosts',
+          'review_state_boosts',
+          'decay_function',
+          'decay_field',
+          'decay_scale',
+          'decay_offset',
+          'decay_weight',
+        ],
+      },
+      {
+        id: 'highlighting',
+        title: 'Highlighting',
+        fields: [
+          'highlight_fields',
+          'highlight_type',
+          'highlight_number_of_fragments',
+          'highlight_fragment_size',
+          'highlight_pre_tags',
+          'highlight_post_tags',
         ],
       },
       {
         id: 'results',
         title: 'Results',
-        fields: ['extrainfo_fields', 'subjectsFieldname'],
+        fields: [
+          'sort_options',
+          'collapse_field',
+          'extrainfo_fields',
+          'subjectsFieldname',
+        ],
+      },
+      {
+        id: 'map',
+        title: 'Map',
+        fields: [
+          'geo_field',
+          'geohash_precision',
+          'map_tile_url',
+          'map_attribution',
+        ],
       },
+      ...(builderFields.length
+        ? [
+            {
+              id: 'builders',
+              title: 'Query builders',
+              fields: builderFields,
+            },
+          ]
+        : []),
       {
         id: 'divers',
         title: 'Divers',
@@ -122,6 +453,18 @@ export const SearchBlockSchema = ({ data = {}, intl }) => {
         type: 'boolean',
         default: true,
       },
+      path: {
+        title: 'Path',
+        description: 'Restrict search to the selected folder and its content.',
+        widget: 'object_browser',
+        mode: 'link',
+        allowExternals: false,
+      },
+      allow_search_whole_site: {
+        title: 'Allow search in whole site',
+        description: "Users can switch between 'This area' and 'Whole site'.",
+        type: 'boolean',
+      },
       allowed_content_types: {
         title: 'Types',
         description: 'Restrict types to display.',
@@ -140,6 +483,12 @@ export const SearchBlockSchema = ({ data = {}, intl }) => {
           vocabulary: { '@id': 'plone.app.vocabularies.WorkflowStates' },
         },
       },
+      restrict_to_language: {
+        title: 'Restrict to current language',
+        description:
+          "Users can search in all languages by the toggle 'All languages'.",
+        type: 'boolean',
+      },
       searchedFields: {
         title: 'Searchable fields with boosting',
         description:
@@ -148,11 +497,68 @@ export const SearchBlockSchema = ({ data = {}, intl }) => {
         creatable: true,
         default: ['title^1.4', 'description^1.2'],
       },
+      nested_paths: {
+        title: 'Nested fields',
+        description:
+          "Paths of fields mapped as nested, e.g. 'relatedItems'. Searchable fields like 'relatedItems.title' are searched in nested documents.",
+        type: 'array',
+        creatable: true,
+      },
+      synonyms: {
+        title: 'Synonyms',
+        description:
+          "One group of synonyms per entry, words separated by comma, e.g. 'Velo, Fahrrad'. Synonyms are searched with lower relevance.",
+        type: 'array',
+        creatable: true,
+      },
+      field_aliases: {
+        title: 'Fielded search',
+        description:
+          "Aliases of fields for search strings like 'titel:climate' or 'typ:File'.",
+        widget: 'object_list',
+        schema: FieldAliasSchema({ intl }),
+      },
+      suggest_field: {
+        title: 'Spelling suggestions',
+        description:
+          "Field to suggest corrections of the search string from, e.g. 'title'. Leave empty to not suggest.",
+        default: 'title',
+      },
+      autocomplete: {
+        title: 'Autocomplete',
+        description:
+          'Suggest completions while typing: recent searches of the user, kept in the browser, popular searches of all users and values of matching documents.',
+        type: 'boolean',
+      },
+      autocomplete_fields: {
+        title: 'Autocomplete fields',
+        description: 'Fields to suggest values of, e.g. title.',
+        type: 'array',
+        creatable: true,
+        default: ['title'],
+      },
+      popular_searches_index: {
+        title: 'Index of popular searches',
+        description:
+          'Index with a document {query, count} per search string, counting the searches of all users, e.g. collected from the search logs on the server. Leave empty to not suggest popular searches.',
+      },
+      best_bets: {
+        title: 'Best bets',
+        description: 'Documents promoted for keywords.',
+        widget: 'object_list',
+        schema: BestBetSchema({ intl }),
+      },
       facet_fields: {
         title: 'Facets',
         description: 'Fields to filter on.',
         widget: 'object_list',
         schema: FacetSchema({ intl }),
+        schemaExtender: facetSchemaExtender,
+      },
+      language_facet: {
+        title: 'Language facet',
+        description: 'Show a facet to filter by language.',
+        type: 'boolean',
       },
       filterLayout: {
         title: intl.formatMessage(messages.facetWidget),
@@ -163,10 +569,136 @@ export const SearchBlockSchema = ({ data = {}, intl }) => {
         ],
         default: 'dropdown',
       },
+      type_boosts: {
+        title: 'Boosting of types',
+        description:
+          'Type Document^2 to rank pages twice as high, File^0.5 to rank files half as high.',
+        type: 'array',
+        creatable: true,
+      },
+      section_boosts: {
+        title: 'Boosting of sections',
+        description: 'Type the section followed by the weight, e.g. faq^1.5.',
+        type: 'array',
+        creatable: true,
+      },
+      review_state_boosts: {
+        title: 'Boosting of review states',
+        description:
+          'Type the review state followed by the weight, e.g. published^1.2.',
+        type: 'array',
+        creatable: true,
+      },
+      decay_function: {
+        title: 'Recency boosting',
+        description:
+          'Decay function to rank fresh documents higher. Leave empty to rank by relevance only.',
+        choices: [
+          ['gauss', 'Gauss'],
+          ['exp', 'Exponential'],
+        ],
+      },
+      decay_field: {
+        title: 'Date field',
+        choices: [
+          ['effective', 'Publication date'],
+          ['modified', 'Modification date'],
+        ],
+        default: 'effective',
+      },
+      decay_scale: {
+        title: 'Scale',
+        description:
+          "Age beyond the offset at which the boost is halved, e.g. '30d' for 30 days.",
+        default: '30d',
+      },
+      decay_offset: {
+        title: 'Offset',
+        description:
+          "Age up to which documents get the full boost, e.g. '7d' for 7 days.",
+      },
+      decay_weight: {
+        title: 'Weight',
+        description:
+          'Boost of fresh documents added to the relevance. A small weight lets fresh documents win ties.',
+        type: 'number',
+        default: 1,
+      },
+      highlight_fields: {
+        title: 'Highlighted fields',
+        description:
+          'Fields to show matches of. Leave empty to highlight all searchable fields.',
+        widget: 'object_list',
+        schema: HighlightFieldSchema({ intl }),
+      },
+      highlight_type: {
+        title: 'Highlighter',
+        description:
+          'The fast vector highlighter (fvh) combines matches of a searchable field and its exact subfield, e.g. of phrases. It requires term vectors in the mapping of the searchable fields. Other fields are highlighted by the unified highlighter.',
+        choices: [
+          ['unified', 'unified'],
+          ['plain', 'plain'],
+          ['fvh', 'fvh'],
+        ],
+        default: 'fvh',
+      },
+      highlight_number_of_fragments: {
+        title: 'Number of fragments',
+        type: 'integer',
+        default: 20,
+      },
+      highlight_fragment_size: {
+        title: 'Fragment size',
+        description: 'Size of a fragment in characters.',
+        type: 'integer',
+        default: 100,
+      },
+      highlight_pre_tags: {
+        title: 'Tag before a match',
+        default: '<em>',
+      },
+      highlight_post_tags: {
+        title: 'Tag after a match',
+        default: '</em>',
+      },
+      sort_options: {
+        title: 'Sort options',
+        description: 'Leave empty to sort by relevance and date.',
+        widget: 'object_list',
+        schema: SortOptionSchema({ intl }),
+      },
+      geo_field: {
+        title: 'Geo field',
+        description:
+          "Field of type geo_point, e.g. 'geolocation'. Results can be shown on a map and filtered by area. Leave empty for no map.",
+      },
+      geohash_precision: {
+        title: 'Cluster precision',
+        description:
+          'Geohash precision of clusters on the map, from 1 (continents) to 12 (centimeters).',
+        type: 'integer',
+        minimum: 1,
+        maximum: 12,
+        default: 5,
+      },
+      map_tile_url: {
+        title: 'Tile server',
+        description:
+          "URL template of map tiles, e.g. of a local tile server. Default 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png'.",
+      },
+      map_attribution: {
+        title: 'Map attribution',
+        description: 'Attribution of the map tiles. Default OpenStreetMap.',
+      },
+      collapse_field: {
+        title: 'Group results',
+        description:
+          "Keyword field to show one result per value of, e.g. 'translation_group' or 'parent_uid'. The other documents of a group are shown as related items. Leave empty to not group.",
+      },
       extrainfo_fields: {
         title: intl.formatMessage(messages.metadata),
         widget: 'object_list',
-        schema: FacetSchema({ intl }),
+        schema: MetadataFieldSchema({ intl }),
       },
       subjectsFieldname: {
         title: 'Field name of tags field',
@@ -174,6 +706,25 @@ export const SearchBlockSchema = ({ data = {}, intl }) => {
           'Show tags to search for. Let the field empty to not show tags.',
         default: '',
       },
+      query_builder: {
+        title: 'Query builder',
+        description: 'Builder of the search query. Default: fuzzy search.',
+        choices: builderChoices('query_builder'),
+      },
+      highlight_builder: {
+        title: 'Highlight builder',
+        choices: builderChoices('highlight_builder'),
+      },
+      aggregation_builder: {
+        title: 'Facet aggregation builder',
+        choices: builderChoices('aggregation_builder'),
+      },
+      post_processors: {
+        title: 'Post-processors',
+        description: 'Applied in the selected order to the search request.',
+        type: 'array',
+        choices: builderChoices('post_processors'),
+      },
       relocation: {
         title: 'Relocation',
         description:
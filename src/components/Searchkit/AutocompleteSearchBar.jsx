@@ -0,0 +1,215 @@
+/**
+ * Search bar with suggestions of completions while typing
+ * Recent searches of the user are suggested first, then popular searches of
+ * all users from the index of popular searches of the block, then values of
+ * the autocomplete fields of matching documents, looked up in
+ * CustomESRequestSerializer.serializeAutocomplete. Suggestions are shown if
+ * autocomplete is enabled in the block.
+ * Fielded clauses on facet fields are moved to the filters on search, so
+ * they show up as selected options of the facets, see ./fieldedSearch.js.
+ */
+import React from 'react';
+import cx from 'classnames';
+import { isEqual, uniqBy, uniqWith } from 'lodash';
+import { useIntl } from 'react-intl';
+import { Input } from 'semantic-ui-react';
+import { withState } from 'react-searchkit';
+
+import messages from '../../messages';
+import { getFacetsFromObjectList, getQueryStateCopy } from '../helpers';
+import { extractFacetFilters, getFieldAliases } from './fieldedSearch';
+import { addRecentSearch, getRecentSearches } from './recentSearches';
+
+/**
+ * Number of typed characters to start suggesting
+ */
+const MIN_LENGTH = 2;
+
+/**
+ * Maximum number of suggestions
+ */
+const MAX_SUGGESTIONS = 8;
+
+const listId = 'searchkit-suggestions';
+
+/**
+ * Headers of groups of suggestions by source
+ */
+const sourceHeaders = {
+  recent: messages.recentSearches,
+  popular: messages.popularSearches,
+};
+
+const _AutocompleteSearchBar = (props) => {
+  const { searchApi, currentQueryState, updateQueryState } = props;
+  const intl = useIntl();
+  const suggest = currentQueryState.data?.autocomplete && searchApi;
+
+  const [value, setValue] = React.useState(currentQueryState.queryString || '');
+  const [suggestions, setSuggestions] = React.useState([]);
+  const [activeIndex, setActiveIndex] = React.useState(-1);
+  const [open, setOpen] = React.useState(false);
+
+  // Show search string of query state, e.g. after reset or a click on a tag
+  React.useEffect(() => {
+    setValue(currentQueryState.queryString || '');
+  }, [currentQueryState.queryString]);
+
+  // Look up completions on server
+  const filters = currentQueryState.filters;
+  React.useEffect(() => {
+    const text = value.trim();
+    if (!suggest || !open || text.length < MIN_LENGTH) {
+      setSuggestions([]);
+      return;
+    }
+    let cancelled = false;
+    const onCompletions = ([popularSearches, completions]) => {
+      if (!cancelled) {
+        const withSource = (source) => (query) => ({ text: query, source });
+        setSuggestions(
+          uniqBy(
+            [
+              ...getRecentSearches(text).map(withSource('recent')),
+              ...popularSearches.map(withSource('popular')),
+              ...completions.map(withSource('completion')),
+            ],
+            (suggestion) => suggestion.text.toLowerCase(),
+          ).slice(0, MAX_SUGGESTIONS),
+        );
+        setActiveIndex(-1);
+      }
+    };
+    const timeout = setTimeout(() => {
+      Promise.all([
+        searchApi.popularSearches(text).catch(() => []),
+        searchApi.autocomplete(text, filters).catch(() => []),
+      ]).then(onCompletions);
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [value, open, filters, searchApi, suggest]);
+
+  const search = (queryString) => {
+    const data = currentQueryState.data || {};
+    const { queryString: remaining, filters: facetFilters } =
+      extractFacetFilters(
+        queryString,
+        getFieldAliases(data.field_aliases),
+        Object.keys(getFacetsFromObjectList(data.facet_fields)),
+      );
+    setOpen(false);
+    setValue(remaining);
+    addRecentSearch(queryString);
+    updateQueryState({
+      ...getQueryStateCopy(currentQueryState),
+      queryString: remaining,
+      page: 1,
+      filters: uniqWith(
+        currentQueryState.filters.concat(facetFilters),
+        isEqual,
+      ),
+    });
+  };
+
+  const onChange = (event, { value }) => {
+    setValue(value);
+    setOpen(true);
+  };
+
+  const onKeyDown = (event) => {
+    const isOpen = open && suggestions.length > 0;
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        setOpen(true);
+        if (isOpen) {
+          setActiveIndex((activeIndex + 1) % suggestions.length);
+        }
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        if (isOpen) {
+          setActiveIndex(
+            (activeIndex - 1 + suggestions.length) % suggestions.length,
+          );
+        }
+        break;
+      case 'Enter':
+        search(
+          isOpen && activeIndex > -1 ? suggestions[activeIndex].text : value,
+        );
+        break;
+      case 'Escape':
+        setOpen(false);
+        setActiveIndex(-1);
+        break;
+      default:
+        break;
+    }
+  };
+
+  const isExpanded = open && suggestions.length > 0;
+
+  return (
+    <div className="autocomplete">
+      <Input
+        fluid
+        icon="search"
+        iconPosition="left"
+        placeholder=" "
+        value={value}
+        onChange={onChange}
+        onKeyDown={onKeyDown}
+        onBlur={() => setOpen(false)}
+        action={{
+          content: intl.formatMessage(messages.search),
+          onClick: () => search(value),
+        }}
+        input={{
+          role: 'combobox',
+          'aria-autocomplete': 'list',
+          'aria-expanded': isExpanded,
+          'aria-controls': listId,
+          'aria-activedescendant':
+            isExpanded && activeIndex > -1
+              ? `${listId}-${activeIndex}`
+              : undefined,
+        }}
+      />
+      {isExpanded ? (
+        <ul className="suggestions" role="listbox" id={listId}>
+          {suggestions.map((suggestion, index) => (
+            <React.Fragment key={suggestion.text}>
+              {sourceHeaders[suggestion.source] &&
+              suggestion.source !== suggestions[index - 1]?.source ? (
+                <li className="suggestionsheader" role="presentation">
+                  {intl.formatMessage(sourceHeaders[suggestion.source])}
+                </li>
+              ) : null}
+              <li
+                id={`${listId}-${index}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                className={cx(suggestion.source, {
+                  active: index === activeIndex,
+                })}
+                onMouseDown={(event) => {
+                  // Keep focus in input until the search is done
+                  event.preventDefault();
+                  search(suggestion.text);
+                }}
+              >
+                {suggestion.text}
+              </li>
+            </React.Fragment>
+          ))}
+        </ul>
+      ) : null}
+    </div>
+  );
+};
+
+export const AutocompleteSearchBar = withState(_AutocompleteSearchBar);
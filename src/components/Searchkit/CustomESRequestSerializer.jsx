@@ -1,14 +1,181 @@
-import { extend, isEmpty, keyBy, trim } from 'lodash';
-import { getObjectFromObjectList } from '../helpers.jsx';
+import { extend, isEmpty, keyBy, uniq } from 'lodash';
+import {
+  getChildAgg,
+  getFacetsFromObjectList,
+  getObjectFromObjectList,
+  isExcludedValue,
+  MISSING_VALUE,
+} from '../helpers.jsx';
+import { parse } from './QueryStringParser';
+import {
+  DATE_RANGE_PRESETS,
+  getDateRange,
+  getNumericRange,
+  parseRange,
+} from './ranges';
+import { getSynonymsDictionary, SYNONYM_BOOST } from './synonyms';
+import { getFieldAliases } from './fieldedSearch';
+import { getBestBets } from './bestBets';
+import { GEO_AGG, getGeoQuery } from './geo';
+
+/**
+ * Number of hits counted accurately. Totals above are lower bounds.
+ */
+export const TRACK_TOTAL_HITS = 100000;
+
+/**
+ * Number of hits reachable by `from` and `size` (ES index.max_result_window).
+ * Deeper pages are fetched with `search_after`.
+ */
+export const MAX_RESULT_WINDOW = 10000;
+
+/**
+ * Name of aggregation counting the parent documents of nested terms
+ */
+export const NESTED_PARENTS_AGG = 'parent_documents';
+
+/**
+ * Name of inner hits of collapsed results, e.g. translations of a hit
+ */
+export const RELATED_INNER_HITS = 'related';
+
+/**
+ * Number of related documents of a collapsed result, including itself
+ */
+export const RELATED_SIZE = 11;
+
+/**
+ * Name of aggregation counting the groups of collapsed results
+ */
+export const COLLAPSED_TOTAL_AGG = 'collapsed_total';
+
+/**
+ * Highlighted fields if no fields are searched explicitly, e.g. in the view of matches
+ */
+export const DEFAULT_HIGHLIGHT_FIELDS = [
+  'title',
+  'description',
+  'blocks_plaintext',
+];
+
+/**
+ * Number of documents looked up for completions of a typed search string
+ */
+export const AUTOCOMPLETE_SIZE = 8;
+
+/**
+ * Number of popular searches of all users suggested for a typed search string
+ */
+export const POPULAR_SEARCHES_SIZE = 3;
+
+/**
+ * Tiebreak of hits with same score or sort value, required by search_after
+ * Indexes without '@id' mapping sort as if the field were empty.
+ */
+const TIEBREAK_SORT = { '@id': { order: 'asc', unmapped_type: 'keyword' } };
+
+/**
+ * Sort values of a page from hidden parameter ['search_after', page, JSON]
+ * The parameter is not written to the URL and can be edited by hand.
+ * @param {Array} hiddenParams hidden parameters of query state
+ * @param {number} page page number
+ * @returns {Array} sort values, null if missing or invalid
+ */
+const getSearchAfter = (hiddenParams, page) => {
+  const param = hiddenParams.find(
+    (el) => el[0] === 'search_after' && Number(el[1]) === page,
+  );
+  try {
+    const values = JSON.parse(param?.[2]);
+    return Array.isArray(values) && values.length ? values : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Escape reserved characters of a word for query_string
+ * '+' and '-' are operators at the start of a word only. '<' and '>' cannot
+ * be escaped and are removed.
+ * @param {string} word word of search string
+ * @param {boolean} wildcard keep wildcards '*' and '?'
+ * @returns {string} word in query string syntax
+ */
+const escapeWord = (word, wildcard = false) =>
+  word
+    .replace(/[<>]/g, '')
+    .replace(
+      wildcard
+        ? /^[+-]|[=&|!(){}[\]^"~:\\/]/g
+        : /^[+-]|[=&|!(){}[\]^"~*?:\\/]/g,
+      '\\$&',
+    );
+
+/**
+ * Phrase in query_string syntax
+ * @param {string} text words of phrase
+ * @returns {string} quoted phrase
+ */
+const quotePhrase = (text) => `"${text.replace(/["\\]/g, '\\$&')}"`;
+
+/**
+ * Case insensitive Lucene regular expression for values containing text
+ * @param {string} text looked up text
+ * @returns {string} regular expression for `include` of terms aggregation
+ */
+const getLookupRegex = (text) =>
+  `.*${Array.from(text)
+    .map((char) =>
+      char.toLowerCase() !== char.toUpperCase()
+        ? `[${char.toLowerCase()}${char.toUpperCase()}]`
+        : char.replace(/[.?+*|{}[\]()"\\#@&<>~]/g, '\\$&'),
+    )
+    .join('')}.*`;
+
+/**
+ * Parse a boost like 'Document^2'
+ * @param {string} entry value and weight separated by '^'
+ * @returns {Object} {value, weight}, null if weight is not a positive number
+ */
+const parseBoost = (entry) => {
+  const index = entry.lastIndexOf('^');
+  const value = entry.slice(0, index).trim();
+  const weight = parseFloat(entry.slice(index + 1));
+  return index > 0 && value && weight > 0 ? { value, weight } : null;
+};
 
 export class CustomESRequestSerializer {
   constructor(config) {
     this.reviewstatemapping = config.reviewstatemapping;
     this.searchedFields = config.searchedFields;
+    this.nested_paths = config.nested_paths || [];
     this.facet_fields = getObjectFromObjectList(config.facet_fields);
+    this.facets = getFacetsFromObjectList(config.facet_fields);
     this.allowed_content_types = config.allowed_content_types;
     this.allowed_review_states = config.allowed_review_states;
     this.search_sections = config.search_sections;
+    this.highlight = config.highlight || {};
+    this.ranking = config.ranking || {};
+    this.boosts = config.boosts || {};
+    this.best_bets = config.best_bets;
+    this.suggest_field = config.suggest_field;
+    this.collapse_field = config.collapse_field;
+    this.geo_field = config.geo_field;
+    this.geohash_precision = config.geohash_precision || 5;
+    // Builders of add-ons, see ./builders.js
+    this.query_builder = config.query_builder;
+    this.highlight_builder = config.highlight_builder;
+    this.aggregation_builder = config.aggregation_builder;
+    this.post_processors = config.post_processors || [];
+    this.autocomplete_fields = config.autocomplete_fields?.length
+      ? config.autocomplete_fields
+      : ['title'];
+    this.synonyms = getSynonymsDictionary(config.synonyms);
+    this.field_aliases = getFieldAliases(config.field_aliases);
+    this.backend_url = config.backend_url;
+    this.path = config.path;
+    this.language = config.language;
+    this.language_facet = config.language_facet;
   }
   /**
    * Convert Array of filters to Object of filters
@@ -47,106 +214,633 @@ export class CustomESRequestSerializer {
   };
 
   /**
-   * Return a serialized version of the app state `query` for the API backend.
-   * @param {object} stateQuery the `query` state to serialize
+   * Path of a nested field
+   * @param {string} field field name, optionally with boost, e.g. 'relatedItems.title^2'
+   * @returns {string} nested path, null if field is not nested
    */
-  serialize = (stateQuery) => {
-    const { queryString, sortBy, sortOrder, page, size, filters } = stateQuery;
-    const bodyParams = {};
-    const force_fuzzy = true; // search for `${word}` and `${word}~`
+  getNestedPath = (field) => {
+    const fieldname = field.split('^')[0];
+    return (
+      this.nested_paths
+        .filter((path) => fieldname.startsWith(`${path}.`))
+        .sort((a, b) => b.length - a.length)[0] || null
+    );
+  };
+
+  /**
+   * Field of the terms of a facet
+   * Nested facets aggregate on a subfield of the nested facet field.
+   * @param {string} fieldName name of facet field
+   * @returns {string} ES field
+   */
+  getTermsField = (fieldName) => {
+    const subfield = this.facets[fieldName]?.nested_subfield;
+    if (subfield) {
+      return `${fieldName}.${subfield}`;
+    }
+    return fieldName === 'subjects' ? 'subjects.keyword' : fieldName;
+  };
 
-    let qs_tailored_should_notexact = [];
-    let qs_tailored_should_exact = [];
-    let qs_tailored_must_notexact = [];
-    let qs_tailored_must_exact = [];
-    let qs_tailored_mustNot_exact = [];
-
-    const _remove_orphan_leading_or_trailing_quotmarks = (word) => {
-      let word_without_plus_or_minus = trim(word, '+');
-      word_without_plus_or_minus = trim(word_without_plus_or_minus, '-');
-      if (
-        !(
-          word_without_plus_or_minus.startsWith('"') &&
-          word_without_plus_or_minus.endsWith('"')
-        ) &&
-        !(
-          !word_without_plus_or_minus.startsWith('"') &&
-          !word_without_plus_or_minus.endsWith('"')
-        )
-      ) {
-        return word.replace('"', '');
+  /**
+   * Query clause on the terms of a facet, nested for nested facets
+   * @param {string} fieldName name of facet field
+   * @param {Object} clause ES query clause on terms field
+   * @returns {Object} ES query clause
+   */
+  getTermsClause = (fieldName, clause) =>
+    this.facets[fieldName]?.nested_subfield
+      ? { nested: { path: fieldName, query: clause } }
+      : clause;
+
+  /**
+   * Filter clause for selected options of a facet
+   * @param {string} fieldName name of field
+   * @param {Array} values selected options
+   * @returns {Object} ES query clause, null if nothing to filter
+   */
+  getFacetFilter = (fieldName, values) => {
+    const facet = this.facets[fieldName];
+    if (['daterange', 'numericrange'].includes(facet?.type)) {
+      const getRange =
+        facet.type === 'daterange' ? getDateRange : getNumericRange;
+      const ranges = values
+        .map((value) => getRange(value))
+        .filter((range) => range);
+      if (ranges.length === 0) {
+        return null;
       }
-      return word;
+      return ranges.length === 1
+        ? { range: { [fieldName]: ranges[0] } }
+        : {
+            bool: {
+              should: ranges.map((range) => ({
+                range: { [fieldName]: range },
+              })),
+              minimum_should_match: 1,
+            },
+          };
+    }
+    // Terms: any or all of the selected options, none of the excluded options
+    // Option MISSING_VALUE matches documents without value.
+    const termsField = this.getTermsField(fieldName);
+    const included = values.filter((value) => !isExcludedValue(value));
+    const excluded = values
+      .filter((value) => isExcludedValue(value))
+      .map((value) => value.slice(1));
+    const missingClause = {
+      bool: {
+        must_not: [
+          this.getTermsClause(fieldName, { exists: { field: termsField } }),
+        ],
+      },
     };
-
-    const _removeQuotationMarks = (word) => {
-      word.replace('"', '');
-      word.replace("'", '');
-      return word;
+    const anyOf = (options) => {
+      const terms = options.filter((value) => value !== MISSING_VALUE);
+      const clauses = (
+        terms.length
+          ? [this.getTermsClause(fieldName, { terms: { [termsField]: terms } })]
+          : []
+      ).concat(options.includes(MISSING_VALUE) ? [missingClause] : []);
+      return clauses.length > 1
+        ? [{ bool: { should: clauses, minimum_should_match: 1 } }]
+        : clauses;
+    };
+    const must =
+      facet?.operator === 'and'
+        ? included.map((value) =>
+            value === MISSING_VALUE
+              ? missingClause
+              : this.getTermsClause(fieldName, {
+                  term: { [termsField]: value },
+                }),
+          )
+        : anyOf(included);
+    if (excluded.length === 0) {
+      return must.length === 1 ? must[0] : { bool: { must: must } };
+    }
+    return {
+      bool: {
+        must: must,
+        must_not: anyOf(excluded),
+      },
     };
+  };
 
-    const _make_fuzzy_and_enrich_with_word_parts = (word) => {
-      // EXCLUDE
-      if (word.startsWith('-')) {
-        qs_tailored_mustNot_exact.push(_removeQuotationMarks(word.slice(1)));
-        return;
-      }
-      // MUST
-      if (word.startsWith('+')) {
-        if (word.includes('"') || word.includes('*') || word.includes('?')) {
-          qs_tailored_must_exact.push(word.slice(1));
-        } else {
-          qs_tailored_must_notexact.push(word.slice(1));
-        }
-        return;
-      }
+  /**
+   * Filter clause of a facet for its own aggregation
+   * Counts of options of a facet with operator 'and' narrow down with each
+   * selected option. Otherwise the counts do not depend on the selection in
+   * the facet itself. Excluded options keep their counts to be re-included.
+   * @param {string} fieldName name of field
+   * @param {Array} values selected options
+   * @returns {Object} ES query clause, null if nothing to filter
+   */
+  getFacetFilterOfOwnAggregation = (fieldName, values) => {
+    const facet = this.facets[fieldName];
+    const included = values.filter((value) => !isExcludedValue(value));
+    if (facet?.operator !== 'and' || included.length === 0) {
+      return null;
+    }
+    return this.getFacetFilter(fieldName, included);
+  };
 
-      // WILDCARD
-      if (word.includes('*') || word.includes('?')) {
-        qs_tailored_should_exact.push(_removeQuotationMarks(word));
-        return;
-      }
-      // EXACT
-      if (word.includes('"')) {
-        qs_tailored_should_exact.push(word);
-        return;
+  /**
+   * Filter clause for selected options of a hierarchical facet
+   * A selected parent matches all its children. Selected children of a parent
+   * restrict the parent to these children.
+   * @param {string} fieldName name of field
+   * @param {Array} filters selected filters of facet [aggName, value, [childAggName, childValue]]
+   * @returns {Object} ES query clause, null if nothing to filter
+   */
+  getHierarchicalFacetFilter = (fieldName, filters) => {
+    const childAgg = getChildAgg(fieldName, this.facets[fieldName]);
+    let parents = [];
+    let childrenByParent = {};
+    filters.forEach((filter) => {
+      if (filter.length === 3) {
+        childrenByParent[filter[1]] = (
+          childrenByParent[filter[1]] || []
+        ).concat([filter[2][1]]);
+      } else {
+        parents.push(filter[1]);
       }
+    });
+    let clauses = [];
+    if (parents.length) {
+      clauses.push({ terms: { [fieldName]: parents } });
+    }
+    Object.keys(childrenByParent).forEach((parent) => {
+      clauses.push({
+        bool: {
+          must: [
+            { term: { [fieldName]: parent } },
+            { terms: { [childAgg.field]: childrenByParent[parent] } },
+          ],
+        },
+      });
+    });
+    if (clauses.length === 0) {
+      return null;
+    }
+    return clauses.length === 1
+      ? clauses[0]
+      : { bool: { should: clauses, minimum_should_match: 1 } };
+  };
+
+  /**
+   * Order and size of terms aggregation of a facet
+   * Orders 'label' and 'vocabulary' are applied on rendering.
+   * @param {Object} facet facet configuration
+   * @returns {Object} options of ES terms aggregation
+   */
+  getTermsOptions = (facet) => ({
+    order: facet?.order === 'count' ? { _count: 'desc' } : { _key: 'asc' },
+    size: Number(facet?.size) || 500, // number of buckets
+  });
+
+  /**
+   * Aggregation of a facet
+   * @param {string} fieldName name of facet field
+   * @param {string} aggName name of aggregation
+   * @param {string} field field to aggregate on
+   * @param {Array} values selected options of this facet
+   * @param {string} lookup text to look up values of a large facet
+   * @returns {Object} ES aggregations of facet
+   */
+  getFacetAggregation = (fieldName, aggName, field, values, lookup) => {
+    const facet = this.facets[fieldName];
+    if (facet?.type === 'daterange') {
+      // Preset ranges and a selected custom range
+      let ranges = Object.keys(DATE_RANGE_PRESETS).map((key) => ({
+        key: key,
+        from: DATE_RANGE_PRESETS[key].from,
+      }));
+      values
+        .filter((value) => !(value in DATE_RANGE_PRESETS))
+        .forEach((value) => {
+          const range = getDateRange(value);
+          if (range) {
+            ranges.push({
+              key: value,
+              ...(range.gte && { from: range.gte }),
+              // ES date_range excludes 'to'
+              ...(range.lte && { to: `${parseRange(value).to}||+1d/d` }),
+            });
+          }
+        });
+      return {
+        [aggName]: {
+          date_range: {
+            field: field,
+            ranges: ranges,
+          },
+        },
+      };
+    }
+    if (facet?.type === 'numericrange') {
+      // Bounds of slider and distribution of values
+      // Empty buckets are left out to stay below search.max_buckets.
+      const interval = Number(facet.interval);
+      return {
+        [aggName]: {
+          stats: {
+            field: field,
+          },
+        },
+        ...(interval > 0 && {
+          [`${aggName}_histogram`]: {
+            histogram: {
+              field: field,
+              interval: interval,
+              min_doc_count: 1,
+            },
+          },
+        }),
+      };
+    }
+    if (facet?.type === 'hierarchical') {
+      // Terms of children per parent
+      const childAgg = getChildAgg(fieldName, facet);
+      // Path-based taxonomy: 'parent' and 'parent/child' in the same field
+      const separator = facet.path_separator
+        ? facet.path_separator.replace(/[.?+*|{}[\]()"\\#@&<>~^-]/g, '\\$&')
+        : null;
+      const segment = `[^${separator}]+`;
+      return {
+        [aggName]: {
+          terms: {
+            field: field,
+            ...this.getTermsOptions(facet),
+            ...(separator && { include: segment }),
+          },
+          aggs: {
+            [childAgg.aggName]: {
+              terms: {
+                field: childAgg.field,
+                ...this.getTermsOptions(facet),
+                ...(separator && {
+                  include: `${segment}${separator}${segment}`,
+                }),
+              },
+            },
+          },
+        },
+      };
+    }
+    const terms = {
+      field: `${field}`,
+      ...this.getTermsOptions(facet),
+      // Values of large facets beyond the size limit are looked up on server.
+      ...(facet?.large && lookup && { include: getLookupRegex(lookup) }),
+      // Bucket of documents without value, not of nested documents
+      ...(facet?.show_missing &&
+        !facet.nested_subfield && { missing: MISSING_VALUE }),
+    };
+    if (facet?.nested_subfield) {
+      // Terms of nested documents, counted per parent document
+      return {
+        [aggName]: {
+          nested: { path: fieldName },
+          aggs: {
+            [aggName]: {
+              terms: { ...terms, field: this.getTermsField(fieldName) },
+              aggs: { [NESTED_PARENTS_AGG]: { reverse_nested: {} } },
+            },
+          },
+        },
+      };
+    }
+    return {
+      [aggName]: {
+        terms: terms,
+      },
+      somemoredatafromelasticsearch: {
+        top_hits: {
+          size: 1,
+          _source: { includes: [field] },
+        },
+      },
+    };
+  };
+
+  /**
+   * Highlight configuration of ES query
+   * Fields default to the searched fields, else to DEFAULT_HIGHLIGHT_FIELDS.
+   * The default fast vector highlighter is used for searched fields only,
+   * which have an exact subfield with term vectors in the shipped mapping.
+   * Phrases, wildcards and required or excluded words are searched in the
+   * exact subfield only. Other fields are highlighted by the unified highlighter.
+   * @param {string} path nested path for highlights of inner hits,
+   *  default highlights of fields not nested
+   * @returns {Object} ES highlight
+   */
+  getHighlight = (path = null) => {
+    const {
+      fields,
+      type = 'fvh',
+      number_of_fragments = 20,
+      fragment_size,
+      pre_tags,
+      post_tags,
+    } = this.highlight;
+    const searchedFieldnames = this.searchedFields?.length
+      ? this.searchedFields.map((fld) => fld.split('^')[0])
+      : DEFAULT_HIGHLIGHT_FIELDS;
+    const fieldnames = (
+      fields?.length ? fields.map((el) => el.field) : searchedFieldnames
+    ).filter((fieldname) => this.getNestedPath(fieldname) === path);
+
+    let highlight = {
+      number_of_fragments: number_of_fragments,
+      fields: fieldnames.map((fieldname) => ({
+        // Only the fast vector highlighter combines matches of analyzed and exact field.
+        // Nested fields have no term vectors for the fast vector highlighter.
+        [fieldname]:
+          type === 'fvh' && !path && searchedFieldnames.includes(fieldname)
+            ? {
+                matched_fields: [fieldname, `${fieldname}.exact`],
+                type: type,
+              }
+            : { type: type === 'fvh' ? 'unified' : type },
+      })),
+    };
+    if (fragment_size) {
+      highlight.fragment_size = fragment_size;
+    }
+    if (pre_tags && post_tags) {
+      highlight.pre_tags = [pre_tags];
+      highlight.post_tags = [post_tags];
+    }
+    return highlight;
+  };
+
+  /**
+   * Add inner hits of nested searched fields to query for their highlights
+   * The nested clauses do not change the score.
+   * @param {Object} query ES query
+   * @param {string} queryString search string
+   * @returns {Object} ES query
+   */
+  getQueryWithInnerHits = (query, queryString) => {
+    const paths = uniq(
+      this.searchedFields.map(this.getNestedPath).filter((path) => path),
+    ).filter((path) => this.getHighlight(path).fields.length);
+    if (!paths.length) {
+      return query;
+    }
+    return {
+      bool: {
+        must: [query],
+        should: paths.map((path) => ({
+          nested: {
+            path: path,
+            query: {
+              simple_query_string: {
+                query: queryString,
+                fields: this.searchedFields.filter(
+                  (fld) => this.getNestedPath(fld) === path,
+                ),
+              },
+            },
+            score_mode: 'none',
+            inner_hits: {
+              _source: false,
+              highlight: this.getHighlight(path),
+            },
+          },
+        })),
+      },
+    };
+  };
+
+  /**
+   * Query for documents similar to a document
+   * Nested fields are not supported by more_like_this.
+   * @param {string} uid UID of document
+   * @returns {Object} ES query
+   */
+  getMoreLikeThisQuery = (uid) => ({
+    more_like_this: {
+      fields: this.searchedFields
+        .filter((fld) => !this.getNestedPath(fld))
+        .map((fld) => fld.split('^')[0]),
+      like: [{ _id: uid }],
+      min_term_freq: 1,
+    },
+  });
+
+  /**
+   * Wrap query in a function_score with weights by field values.
+   * Boosts are configured per field, e.g. {portal_type: ['Document^2', 'File^0.5']}.
+   * The relevance is multiplied by the weights of the matching values.
+   * @param {Object} query ES query, null to match all documents
+   * @returns {Object} ES query, unchanged if no boosts are configured
+   */
+  getBoostedQuery = (query) => {
+    const functions = Object.keys(this.boosts).flatMap((fieldName) =>
+      (this.boosts[fieldName] || [])
+        .map(parseBoost)
+        .filter((boost) => boost)
+        .map(({ value, weight }) => ({
+          filter: { term: { [fieldName]: value } },
+          weight: weight,
+        })),
+    );
+    if (!functions.length) {
+      return query;
+    }
+    return {
+      function_score: {
+        query: query || { match_all: {} },
+        functions: functions,
+        score_mode: 'multiply',
+        boost_mode: 'multiply',
+      },
+    };
+  };
+
+  /**
+   * Wrap query in a function_score with a decay function on a date field.
+   * The decay is added to the boosted relevance, so fresh documents win ties.
+   * @param {Object} query ES query, null to match all documents
+   * @returns {Object} ES query, unchanged if neither boosts nor a decay function are configured
+   */
+  getRankedQuery = (query) => {
+    query = this.getBoostedQuery(query);
+    const {
+      decay_function,
+      decay_field = 'effective',
+      decay_scale,
+      decay_offset,
+      decay_weight,
+    } = this.ranking;
+    if (!decay_function || !decay_scale) {
+      return query;
+    }
+    let decay = { origin: 'now', scale: decay_scale };
+    if (decay_offset) {
+      decay.offset = decay_offset;
+    }
+    return {
+      function_score: {
+        query: query || { match_all: {} },
+        functions: [
+          {
+            [decay_function]: { [decay_field]: decay },
+            weight: Number(decay_weight) || 1,
+          },
+        ],
+        boost_mode: 'sum',
+      },
+    };
+  };
+
+  /**
+   * Clauses of global filters: allowed types and review states, path of block
+   * @param {Object} filters_dict selected filters by aggregation name
+   * @returns {Array} ES clauses
+   */
+  getRestrictions = (filters_dict) => {
+    let terms = [];
+    this.allowed_content_types?.length > 0 &&
+      terms.push({
+        terms: {
+          portal_type: this.allowed_content_types,
+        },
+      });
+    this.allowed_review_states?.length > 0 &&
+      terms.push({
+        terms: {
+          review_state: this.allowed_review_states,
+        },
+      });
+
+    // Restrict to path, unless user searches whole site with filter ['scope', 'site'].
+    if (this.path && filters_dict['scope']?.[1] !== 'site') {
+      const url = `${this.backend_url}${this.path}`;
+      terms.push({
+        bool: {
+          should: [{ term: { '@id': url } }, { prefix: { '@id': `${url}/` } }],
+          minimum_should_match: 1,
+        },
+      });
+    }
+    return terms;
+  };
 
-      // Words with hyphen
-      let word_new;
-      let wordpartlist = word.split('-'); // common hyphens
+  /**
+   * Serialize a query for completions of a typed search string
+   * Documents are searched by phrase prefix in the autocomplete fields.
+   * @param {string} text typed search string
+   * @param {Array} filters selected filters of the query state
+   * @returns {Object} ES payload
+   */
+  serializeAutocomplete = (text, filters = []) => {
+    const filters_dict = keyBy(filters, (e) => {
+      return e[0];
+    });
+    let restrictions = this.getRestrictions(filters_dict);
+    if (this.language && filters_dict['language']?.[1] !== 'all') {
+      restrictions.push({ terms: { language: [this.language] } });
+    }
+    return {
+      query: {
+        bool: {
+          must: [
+            {
+              multi_match: {
+                query: text,
+                type: 'phrase_prefix',
+                fields: this.autocomplete_fields,
+              },
+            },
+          ],
+          filter: restrictions,
+        },
+      },
+      _source: this.autocomplete_fields,
+      size: AUTOCOMPLETE_SIZE,
+    };
+  };
+
+  /**
+   * Serialize a query for popular searches starting with a typed search string
+   * Documents of the index of popular searches are {query, count}, with the
+   * search string in 'query' and the number of searches of all users in 'count'.
+   * @param {string} text typed search string
+   * @returns {Object} ES payload
+   */
+  serializePopularSearches = (text) => ({
+    query: {
+      match_phrase_prefix: {
+        query: { query: text },
+      },
+    },
+    sort: [{ count: { order: 'desc', unmapped_type: 'long' } }],
+    _source: ['query'],
+    size: POPULAR_SEARCHES_SIZE,
+  });
+
+  /**
+   * Serialize a phrase suggester on the suggest field for "Did you mean"
+   * @param {string} text search string
+   * @returns {Object} ES payload
+   */
+  serializeDidYouMean = (text) => ({
+    size: 0,
+    suggest: {
+      text,
+      did_you_mean: {
+        phrase: {
+          field: this.suggest_field,
+          size: 1,
+          direct_generator: [
+            { field: this.suggest_field, suggest_mode: 'always' },
+          ],
+        },
+      },
+    },
+  });
+
+  /**
+   * Return a serialized version of the app state `query` for the API backend.
+   * @param {object} stateQuery the `query` state to serialize
+   */
+  serialize = (stateQuery) => {
+    const {
+      queryString,
+      sortBy,
+      sortOrder,
+      page,
+      size,
+      filters,
+      hiddenParams = [],
+    } = stateQuery;
+    const bodyParams = {};
+    const force_fuzzy = true; // search for `${word}` and `${word}~`
+
+    /**
+     * Search fuzzy and search also for word parts
+     * LSR-Lehrbetrieb: search also for LSR and Lehrbetrieb
+     * @param {string} word
+     * @returns {string} query for query_string
+     */
+    const _make_fuzzy_and_enrich_with_word_parts = (word) => {
+      let wordpartlist = word.split('-').filter((el) => el); // common hyphens
       if (wordpartlist.length > 1) {
         // word with hyphen
-        let resultlist = [];
         wordpartlist.push(word);
-        wordpartlist.forEach((el) => {
-          if (force_fuzzy) {
-            resultlist.push(`${el} ${el}~`);
-          } else {
-            resultlist.push(el);
-          }
-        });
-        word_new = resultlist.join(' ');
       } else {
-        // word without hyphen
-        word_new = force_fuzzy ? `${word} ${word}~` : `${word}`;
+        wordpartlist = [word];
       }
-      qs_tailored_should_notexact.push(word_new);
-      return;
+      return wordpartlist
+        .map((el) => escapeWord(el))
+        .map((el) => (force_fuzzy ? `${el} ${el}~` : el))
+        .join(' ');
     };
 
     if (!isEmpty(queryString)) {
-      // - search fuzzy
-      // - search also for word parts (LSR-Lehrbetrieb: search also for LSR and Lehrbetrieb)
-      let words = queryString.trim().split(' ');
-      words = words
-        // filter out spaces, orphan ", "AND", and "OR"
-        .filter((word) => !['', '"', 'AND', 'OR', 'NOT'].includes(word));
-
-      words.forEach((word) => {
-        word = _remove_orphan_leading_or_trailing_quotmarks(word);
-        _make_fuzzy_and_enrich_with_word_parts(word);
-      });
+      const ast = parse(queryString);
 
       let searchedFields = [...this.searchedFields];
       let searchedFields_exact = [...this.searchedFields];
@@ -155,87 +849,242 @@ export class CustomESRequestSerializer {
         return fld.replace(fieldname, `${fieldname}.exact`);
       });
 
-      // Construction of query
-      let shouldList = [];
-      let mustList = [];
-      let must_notList = [];
-
-      qs_tailored_should_notexact.forEach((element) => {
-        shouldList.push({
+      /**
+       * Search fields, nested fields in nested queries per path
+       * @param {string} query query string syntax
+       * @param {Array} fields fields with optional boost
+       * @param {number} boost
+       * @returns {Object} ES query
+       */
+      const _query_string = (query, fields, boost) => {
+        const _clause = (flds) => ({
           query_string: {
-            query: element,
-            fields: searchedFields,
+            query: query,
+            fields: flds,
+            ...(boost && { boost: boost }),
           },
         });
-      });
-      qs_tailored_should_exact.forEach((element) => {
-        shouldList.push({
-          query_string: {
-            query: element,
-            fields: searchedFields_exact,
+        const flatFields = fields.filter((fld) => !this.getNestedPath(fld));
+        const paths = uniq(
+          fields.map(this.getNestedPath).filter((path) => path),
+        );
+        if (!paths.length) {
+          return _clause(fields);
+        }
+        const clauses = paths.map((path) => ({
+          nested: {
+            path: path,
+            query: _clause(
+              fields.filter((fld) => this.getNestedPath(fld) === path),
+            ),
+            score_mode: 'max',
           },
-        });
-      });
+        }));
+        if (flatFields.length) {
+          clauses.unshift(_clause(flatFields));
+        }
+        return clauses.length === 1
+          ? clauses[0]
+          : { bool: { should: clauses, minimum_should_match: 1 } };
+      };
 
-      qs_tailored_must_notexact.forEach((el) => {
-        mustList.push({
-          query_string: {
-            query: el,
-            fields: searchedFields,
-          },
-        });
-      });
-      qs_tailored_must_exact.forEach((element) => {
-        mustList.push({
-          query_string: {
-            query: element,
-            fields: searchedFields_exact,
-          },
-        });
-      });
-      qs_tailored_mustNot_exact.forEach((element) => {
-        must_notList.push({
-          query_string: {
-            query: element,
-            fields: searchedFields_exact,
+      /**
+       * Search a word and its synonyms with lower boost
+       * @param {Object} query ES query of word
+       * @param {string} word
+       * @param {string} occur see compile
+       * @returns {Object} ES query
+       */
+      const _with_synonyms = (query, word, occur) => {
+        const synonyms = this.synonyms[word.toLowerCase()];
+        if (!synonyms) {
+          return query;
+        }
+        return {
+          bool: {
+            should: [
+              query,
+              ...synonyms.map((synonym) =>
+                _query_string(
+                  synonym.includes(' ')
+                    ? quotePhrase(synonym)
+                    : occur === 'must'
+                    ? escapeWord(synonym)
+                    : _make_fuzzy_and_enrich_with_word_parts(synonym),
+                  searchedFields,
+                  SYNONYM_BOOST,
+                ),
+              ),
+            ],
+            minimum_should_match: 1,
           },
-        });
-      });
+        };
+      };
 
-      bodyParams['query'] = {
-        bool: {
-          should: shouldList,
-          must: mustList,
-          must_not: must_notList,
-        },
+      // Required clauses on facet fields, filtering the whole query
+      const facetFilters = [];
+      // Depth of OR operators around the compiled node
+      let orDepth = 0;
+
+      /**
+       * Compile a fielded clause like 'titel:climate'
+       * The field name is an alias. Facet fields are filtered, other fields
+       * are searched. Unknown aliases are searched as text.
+       * Clauses on facet fields are required, also without '+', unless
+       * excluded or alternatives of OR. They are added to facetFilters.
+       * @param {Object} node see QueryStringParser
+       * @param {string} occur see compile
+       * @returns {Object} ES query, null if added to facetFilters
+       */
+      const _compile_fielded = (node, occur) => {
+        const field = this.field_aliases[node.field.toLowerCase()];
+        if (!field) {
+          return compile(
+            { ...node.child, value: `${node.field}:${node.child.value}` },
+            occur,
+          );
+        }
+        if (field in this.facets) {
+          const clause = this.getTermsClause(field, {
+            term: { [this.getTermsField(field)]: node.child.value },
+          });
+          if (occur === 'must_not' || orDepth > 0) {
+            return clause;
+          }
+          facetFilters.push(clause);
+          return null;
+        }
+        const isSearchedField = this.searchedFields.some(
+          (fld) => fld.split('^')[0] === field,
+        );
+        return compile(node.child, occur, {
+          analyzed: [field],
+          exact: [isSearchedField ? `${field}.exact` : field],
+        });
       };
 
-      bodyParams['highlight'] = {
-        number_of_fragments: 20,
-        fields: [
-          {
-            title: {
-              matched_fields: ['title', 'title.exact'],
-              type: 'fvh',
-            },
-          },
-          {
-            description: {
-              matched_fields: ['description', 'description.exact'],
-              type: 'fvh',
-            },
-          },
-          {
-            blocks_plaintext: {
-              matched_fields: ['blocks_plaintext', 'blocks_plaintext.exact'],
-              type: 'fvh',
-            },
-          },
-        ],
+      /**
+       * Compile a node of the parsed search string to an ES query
+       * @param {Object} node see QueryStringParser
+       * @param {string} occur 'should', 'must' (+word) or 'must_not' (-word)
+       *  Words are searched fuzzy only with 'should'. Excluded words are searched exact.
+       * @param {Object} fields {analyzed, exact} fields of fielded clause,
+       *  default searched fields
+       * @returns {Object} ES query, null if nothing to search
+       */
+      const compile = (node, occur = 'should', fields = null) => {
+        switch (node.type) {
+          case 'term': {
+            if (node.wildcard || occur === 'must_not') {
+              return _query_string(
+                escapeWord(node.value, node.wildcard),
+                fields?.exact || searchedFields_exact,
+              );
+            }
+            const query = _query_string(
+              occur === 'must'
+                ? escapeWord(node.value)
+                : _make_fuzzy_and_enrich_with_word_parts(node.value),
+              fields?.analyzed || searchedFields,
+            );
+            // Words of fielded clauses are searched without synonyms.
+            return fields ? query : _with_synonyms(query, node.value, occur);
+          }
+          case 'phrase':
+            return _query_string(
+              quotePhrase(node.value),
+              fields?.exact || searchedFields_exact,
+            );
+          case 'field':
+            return _compile_fielded(node, occur);
+          case 'required':
+            return compile(node.child, 'must');
+          case 'not':
+            return {
+              bool: { must_not: [compile(node.child, 'must_not')] },
+            };
+          case 'or': {
+            orDepth++;
+            const should = node.children.map((child) => compile(child, occur));
+            orDepth--;
+            return {
+              bool: {
+                should: should,
+                minimum_should_match: 1,
+              },
+            };
+          }
+          case 'and':
+          case 'sequence':
+          default: {
+            // Clauses of a sequence are optional unless required or excluded.
+            const defaultOccur = node.type === 'and' ? 'must' : 'should';
+            const clauses = { should: [], must: [], must_not: [] };
+            node.children.forEach((child) => {
+              if (child.type === 'not') {
+                clauses.must_not.push(compile(child.child, 'must_not'));
+              } else if (child.type === 'required') {
+                clauses.must.push(compile(child.child, 'must'));
+              } else {
+                clauses[defaultOccur].push(compile(child, occur));
+              }
+            });
+            Object.keys(clauses).forEach((key) => {
+              clauses[key] = clauses[key].filter((clause) => clause);
+            });
+            return clauses.should.length ||
+              clauses.must.length ||
+              clauses.must_not.length
+              ? { bool: clauses }
+              : null;
+          }
+        }
       };
+
+      const query = ast ? compile(ast) : null;
+      if (query || facetFilters.length) {
+        bodyParams['query'] = this.getQueryWithInnerHits(
+          facetFilters.length
+            ? { bool: { must: query ? [query] : [], filter: facetFilters } }
+            : query,
+          queryString,
+        );
+      }
+
+      const defaultHighlight = this.getHighlight();
+      bodyParams['highlight'] = this.highlight_builder
+        ? this.highlight_builder({
+            stateQuery,
+            serializer: this,
+            defaultHighlight,
+          })
+        : defaultHighlight;
+    }
+
+    if (this.query_builder) {
+      bodyParams['query'] = this.query_builder({
+        queryString,
+        stateQuery,
+        serializer: this,
+        defaultQuery: bodyParams['query'],
+      });
     }
 
-    if (sortBy !== 'bestmatch') {
+    // Documents similar to the one of filter ['similar', UID]
+    const similar = filters.find((filter) => filter[0] === 'similar');
+    if (similar) {
+      const moreLikeThis = this.getMoreLikeThisQuery(similar[1]);
+      bodyParams['query'] = bodyParams['query']
+        ? { bool: { must: [moreLikeThis, bodyParams['query']] } }
+        : moreLikeThis;
+    }
+
+    if (sortBy === 'bestmatch') {
+      const rankedQuery = this.getRankedQuery(bodyParams['query']);
+      if (rankedQuery) {
+        bodyParams['query'] = rankedQuery;
+      }
+    } else {
       bodyParams['sort'] = bodyParams['sort'] || [];
       const sortObj = {};
       sortObj[sortBy] = sortOrder && sortOrder === 'desc' ? 'desc' : 'asc';
@@ -246,59 +1095,123 @@ export class CustomESRequestSerializer {
       bodyParams['size'] = size; // batch size
     }
 
-    if (page > 0) {
-      const s = size > 0 ? size : 0;
-      const from = (page - 1) * s;
-      bodyParams['from'] = from;
+    bodyParams['track_total_hits'] = TRACK_TOTAL_HITS;
+
+    // Sort values of the last hit of the previous page, for pages beyond the result window
+    // Collapsed results are paged within the result window only.
+    const s = size > 0 ? size : 0;
+    const windowPages = s ? Math.floor(MAX_RESULT_WINDOW / s) : 0;
+    const searchAfter =
+      !this.collapse_field && getSearchAfter(hiddenParams, page);
+    let windowPage = page;
+    if (searchAfter) {
+      bodyParams['search_after'] = searchAfter;
+    } else if (page > 0) {
+      // Without sort values, e.g. on reload of a page beyond the result
+      // window, the last page of the window is shown.
+      windowPage = s ? Math.min(page, windowPages) : page;
+      bodyParams['from'] = (windowPage - 1) * s;
+    }
+
+    // Stable order for search_after: of pages beyond the result window and
+    // of the last page of the window, whose sort values start them.
+    if (searchAfter || (s && windowPage === windowPages)) {
+      bodyParams['sort'] = bodyParams['sort'] || [{ _score: 'desc' }];
+      bodyParams['sort'].push(TIEBREAK_SORT);
+    }
+
+    // One result per group, e.g. translations of a page, with the others as related items
+    if (this.collapse_field) {
+      bodyParams['collapse'] = {
+        field: this.collapse_field,
+        inner_hits: {
+          name: RELATED_INNER_HITS,
+          size: RELATED_SIZE,
+          _source: ['@id', 'title', 'description', 'language'],
+        },
+      };
     }
 
     const getFieldnameFromAgg = (agg) => {
       return agg.replace('_agg', '');
     };
 
-    // Generate terms of global filters
-    let terms = [];
-    this.allowed_content_types?.length > 0 && terms.push({
-      terms: {
-        portal_type: this.allowed_content_types,
-      },
-    });
-    this.allowed_review_states?.length > 0 && terms.push({
-      terms: {
-        review_state: this.allowed_review_states,
-      },
-    });
-
     const filters_dict = keyBy(filters, (e) => {
       return e[0];
     });
+
+    // Generate terms of global filters
+    let terms = this.getRestrictions(filters_dict);
+
     const section = filters_dict['section'];
+    // Filter ['language', 'all'] lifts the restriction to the current language.
+    const allLanguages = filters_dict['language']?.[1] === 'all';
 
-    // Generate terms of selected options
-    let terms_of_selected_options = [];
+    // Generate clauses of selected options, keyed by field name
+    let clauses_of_selected_options = {};
+    let clauses_of_own_aggregation = {};
+    const isHierarchical = (aggName) =>
+      this.facets[getFieldnameFromAgg(aggName)]?.type === 'hierarchical';
     if (filters.length) {
-      // Convert to object.
-      const aggValueObj = this.getFilters(filters);
-
-      terms_of_selected_options = Object.keys(aggValueObj).reduce(
-        (accumulator, aggName) => {
-          const obj = {};
-          const fieldName = getFieldnameFromAgg(aggName);
-          if (fieldName === 'subjects') {
-            obj['subjects.keyword'] = aggValueObj[aggName];
-          } else {
-            obj[fieldName] = aggValueObj[aggName];
+      // Convert to object. Children of hierarchical facets are bound to their parent.
+      const aggValueObj = this.getFilters(
+        filters.filter((filter) => !isHierarchical(filter[0])),
+      );
+
+      Object.keys(aggValueObj).forEach((aggName) => {
+        // Switches, no facets
+        if (['language', 'scope', 'similar', GEO_AGG].includes(aggName)) {
+          return;
+        }
+        const fieldName = getFieldnameFromAgg(aggName);
+        if (
+          aggName !== 'section' ||
+          JSON.stringify(aggValueObj[aggName]) !== '["others"]'
+        ) {
+          const clause = this.getFacetFilter(fieldName, aggValueObj[aggName]);
+          if (clause) {
+            clauses_of_selected_options[fieldName] = clause;
           }
-          if (
-            aggName !== 'section' ||
-            JSON.stringify(aggValueObj[aggName]) !== '["others"]'
-          ) {
-            accumulator.push({ terms: obj });
+          const ownClause = this.getFacetFilterOfOwnAggregation(
+            fieldName,
+            aggValueObj[aggName],
+          );
+          if (ownClause) {
+            clauses_of_own_aggregation[fieldName] = ownClause;
           }
-          return accumulator;
-        },
-        [],
-      );
+        }
+      });
+
+      Object.keys(this.facets)
+        .filter((fieldName) => isHierarchical(`${fieldName}_agg`))
+        .forEach((fieldName) => {
+          const clause = this.getHierarchicalFacetFilter(
+            fieldName,
+            filters.filter((filter) => filter[0] === `${fieldName}_agg`),
+          );
+          if (clause) {
+            clauses_of_selected_options[fieldName] = clause;
+          }
+        });
+    }
+
+    // Geo filter: bounding box or distance from a point
+    const geoQuery =
+      this.geo_field && getGeoQuery(this.geo_field, filters_dict[GEO_AGG]?.[1]);
+    if (geoQuery) {
+      clauses_of_selected_options.geo = geoQuery;
+    }
+
+    // Restrict to current language. As clause of the language facet, the
+    // selected languages replace the restriction and the facet counts all languages.
+    if (
+      this.language &&
+      !allLanguages &&
+      !clauses_of_selected_options.language
+    ) {
+      clauses_of_selected_options.language = {
+        terms: { language: [this.language] },
+      };
     }
 
     /**
@@ -306,20 +1219,34 @@ export class CustomESRequestSerializer {
      */
 
     const post_filter = {
-      bool: { must: terms.concat(terms_of_selected_options) },
+      bool: { must: terms.concat(Object.values(clauses_of_selected_options)) },
     };
 
+    let must_not = [];
+
     // Exclude sections
     if (section && section[1] === 'others') {
-      post_filter['bool']['must_not'] = [
-        {
-          terms: {
-            section: this.search_sections.items.map((el) => {
-              return el.section;
-            }),
-          },
+      must_not.push({
+        terms: {
+          section: this.search_sections.items.map((el) => {
+            return el.section;
+          }),
+        },
+      });
+    }
+
+    // Exclude best bets, they are shown above the results.
+    const bestBets = getBestBets(queryString, this.best_bets);
+    if (bestBets.length) {
+      must_not.push({
+        terms: {
+          '@id': bestBets.map((item) => `${this.backend_url}${item['@id']}`),
         },
-      ];
+      });
+    }
+
+    if (must_not.length) {
+      post_filter['bool']['must_not'] = must_not;
     }
 
     bodyParams['post_filter'] = post_filter;
@@ -330,13 +1257,19 @@ export class CustomESRequestSerializer {
     const filter = (fieldName) => {
       let myAggsFilter = terms;
       // Add selected filters
-      const terms_of_selected_options_without_self =
-        terms_of_selected_options.filter(
-          (el) => !Object.keys(el.terms).includes(fieldName),
-        );
+      const clauses_of_selected_options_without_self = Object.keys(
+        clauses_of_selected_options,
+      )
+        .filter((el) => el !== fieldName)
+        .map((el) => clauses_of_selected_options[el]);
       myAggsFilter = myAggsFilter.concat(
-        terms_of_selected_options_without_self,
+        clauses_of_selected_options_without_self,
       );
+      if (clauses_of_own_aggregation[fieldName]) {
+        myAggsFilter = myAggsFilter.concat([
+          clauses_of_own_aggregation[fieldName],
+        ]);
+      }
 
       // So far
       let res = myAggsFilter
@@ -377,9 +1310,19 @@ export class CustomESRequestSerializer {
       return res;
     };
 
+    // Lookups of values of large facets by aggregation name
+    const lookups = Object.fromEntries(
+      hiddenParams
+        .filter((param) => param[0].endsWith('_lookup'))
+        .map((param) => [param[0].slice(0, -'_lookup'.length), param[1]]),
+    );
+
     bodyParams['aggs'] = {};
     let aggregations = Object.keys(this.facet_fields);
     aggregations.push('section');
+    if (this.language_facet) {
+      aggregations.push('language');
+    }
     aggregations.forEach((fieldName) => {
       let aggName = `${fieldName}_agg`;
       let field = fieldName;
@@ -390,34 +1333,69 @@ export class CustomESRequestSerializer {
       if (fieldName === 'section') {
         field = 'section';
       }
+      const values = filters
+        .filter((filter) => filter[0] === aggName)
+        .map((filter) => filter[1]);
+      const defaultAggregation = this.getFacetAggregation(
+        fieldName,
+        aggName,
+        field,
+        values,
+        lookups[aggName],
+      );
       let aggBucketTermsComponent = {
         [aggName]: {
-          aggs: {
-            [aggName]: {
-              terms: {
-                field: `${field}`,
-                order: {
-                  _key: 'asc',
-                },
-                size: 500, // number of buckets
-              },
-            },
-            somemoredatafromelasticsearch: {
-              top_hits: {
-                size: 1,
-                _source: { includes: [field] },
-              },
-            },
-          },
+          aggs: this.aggregation_builder
+            ? this.aggregation_builder({
+                fieldName,
+                aggName,
+                field,
+                values,
+                lookup: lookups[aggName],
+                stateQuery,
+                serializer: this,
+                defaultAggregation,
+              })
+            : defaultAggregation,
         },
       };
-      const filter_fieldname = filter(fieldName);
+      const filter_fieldname = filter(getFieldnameFromAgg(aggName));
       if (filter_fieldname) {
         aggBucketTermsComponent[aggName].filter = filter_fieldname;
       }
       extend(bodyParams['aggs'], aggBucketTermsComponent);
     });
 
-    return bodyParams;
+    // Clusters of located documents for the map, not restricted by the geo filter
+    if (this.geo_field) {
+      bodyParams['aggs'][GEO_AGG] = {
+        filter: filter('geo'),
+        aggs: {
+          [GEO_AGG]: {
+            geohash_grid: {
+              field: this.geo_field,
+              precision: this.geohash_precision,
+            },
+            aggs: { centroid: { geo_centroid: { field: this.geo_field } } },
+          },
+        },
+      };
+    }
+
+    // Total of collapsed results: number of groups of filtered hits
+    if (this.collapse_field) {
+      bodyParams['aggs'][COLLAPSED_TOTAL_AGG] = {
+        filter: post_filter,
+        aggs: {
+          groups: { cardinality: { field: this.collapse_field } },
+        },
+      };
+    }
+
+    // Post-processors of add-ons, applied in order
+    return this.post_processors.reduce(
+      (body, processor) => processor(body, { stateQuery, serializer: this }),
+      bodyParams,
+    );
   };
 }
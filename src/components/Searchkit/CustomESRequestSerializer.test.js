@@ -0,0 +1,1241 @@
+import { CustomESRequestSerializer } from './CustomESRequestSerializer';
+
+const serializer = new CustomESRequestSerializer({
+  searchedFields: ['title^1.4', 'description'],
+  facet_fields: [],
+  allowed_content_types: [],
+  allowed_review_states: [],
+  search_sections: { items: [] },
+});
+
+const stateQuery = {
+  sortBy: 'bestmatch',
+  sortOrder: 'asc',
+  page: 1,
+  size: 10,
+  filters: [],
+};
+
+const fields = ['title^1.4', 'description'];
+const fields_exact = ['title.exact^1.4', 'description.exact'];
+
+describe('CustomESRequestSerializer query', () => {
+  it('searches words fuzzy and with word parts', () => {
+    const { query } = serializer.serialize({
+      ...stateQuery,
+      queryString: 'LSR-Lehrbetrieb +garden -winter',
+    });
+    expect(query).toEqual({
+      bool: {
+        should: [
+          {
+            query_string: {
+              query:
+                'LSR LSR~ Lehrbetrieb Lehrbetrieb~ LSR-Lehrbetrieb LSR-Lehrbetrieb~',
+              fields,
+            },
+          },
+        ],
+        must: [{ query_string: { query: 'garden', fields } }],
+        must_not: [{ query_string: { query: 'winter', fields: fields_exact } }],
+      },
+    });
+  });
+
+  it('compiles phrases, groups and boolean operators', () => {
+    const { query } = serializer.serialize({
+      ...stateQuery,
+      queryString: '"climate change" OR (energy AND NOT nuclear)',
+    });
+    expect(query).toEqual({
+      bool: {
+        should: [
+          {
+            bool: {
+              should: [
+                {
+                  query_string: {
+                    query: '"climate change"',
+                    fields: fields_exact,
+                  },
+                },
+                {
+                  bool: {
+                    should: [],
+                    must: [
+                      {
+                        query_string: { query: 'energy energy~', fields },
+                      },
+                    ],
+                    must_not: [
+                      {
+                        query_string: {
+                          query: 'nuclear',
+                          fields: fields_exact,
+                        },
+                      },
+                    ],
+                  },
+                },
+              ],
+              minimum_should_match: 1,
+            },
+          },
+        ],
+        must: [],
+        must_not: [],
+      },
+    });
+  });
+
+  it('escapes reserved characters of the query string syntax', () => {
+    const { query } = serializer.serialize({
+      ...stateQuery,
+      queryString: 'Hilfe! -km/h +a:b "x\\y" clim*? {1}~',
+    });
+    expect(query).toEqual({
+      bool: {
+        should: [
+          { query_string: { query: 'Hilfe\\! Hilfe\\!~', fields } },
+          {
+            query_string: { query: '"x\\\\y"', fields: fields_exact },
+          },
+          { query_string: { query: 'clim*?', fields: fields_exact } },
+          {
+            query_string: { query: '\\{1\\}\\~ \\{1\\}\\~~', fields },
+          },
+        ],
+        must: [{ query_string: { query: 'a\\:b', fields } }],
+        must_not: [{ query_string: { query: 'km\\/h', fields: fields_exact } }],
+      },
+    });
+  });
+
+  it('omits the query if the search string has no clauses', () => {
+    const body = serializer.serialize({ ...stateQuery, queryString: 'OR' });
+    expect(body.query).toBeUndefined();
+  });
+});
+
+describe('CustomESRequestSerializer highlight', () => {
+  it('highlights the searched fields by default', () => {
+    const { highlight } = serializer.serialize({
+      ...stateQuery,
+      queryString: 'garden',
+    });
+    expect(highlight).toEqual({
+      number_of_fragments: 20,
+      fields: [
+        {
+          title: { matched_fields: ['title', 'title.exact'], type: 'fvh' },
+        },
+        {
+          description: {
+            matched_fields: ['description', 'description.exact'],
+            type: 'fvh',
+          },
+        },
+      ],
+    });
+  });
+
+  it('highlights the default fields if no fields are searched', () => {
+    const matchesSerializer = new CustomESRequestSerializer({
+      searchedFields: [],
+      facet_fields: [],
+    });
+    const { highlight } = matchesSerializer.serialize({
+      ...stateQuery,
+      queryString: '"climate change"',
+    });
+    expect(highlight.fields.map((field) => Object.keys(field)[0])).toEqual([
+      'title',
+      'description',
+      'blocks_plaintext',
+    ]);
+    expect(highlight.fields[2]).toEqual({
+      blocks_plaintext: {
+        matched_fields: ['blocks_plaintext', 'blocks_plaintext.exact'],
+        type: 'fvh',
+      },
+    });
+  });
+
+  it('highlights searched fields only with the fast vector highlighter', () => {
+    const fvhSerializer = new CustomESRequestSerializer({
+      searchedFields: ['title^1.4', 'description'],
+      facet_fields: [],
+      highlight: {
+        fields: [{ field: 'title' }, { field: 'attachment' }],
+        type: 'fvh',
+      },
+    });
+    const { highlight } = fvhSerializer.serialize({
+      ...stateQuery,
+      queryString: 'garden',
+    });
+    expect(highlight.fields).toEqual([
+      { title: { matched_fields: ['title', 'title.exact'], type: 'fvh' } },
+      { attachment: { type: 'unified' } },
+    ]);
+  });
+
+  it('highlights configured fields with configured highlighter', () => {
+    const configuredSerializer = new CustomESRequestSerializer({
+      searchedFields: ['title^1.4', 'attachment'],
+      facet_fields: [],
+      highlight: {
+        fields: [{ field: 'attachment', label: 'Attachment' }],
+        type: 'unified',
+        number_of_fragments: 3,
+        fragment_size: 150,
+        pre_tags: '<mark>',
+        post_tags: '</mark>',
+      },
+    });
+    const { highlight } = configuredSerializer.serialize({
+      ...stateQuery,
+      queryString: 'garden',
+    });
+    expect(highlight).toEqual({
+      number_of_fragments: 3,
+      fragment_size: 150,
+      pre_tags: ['<mark>'],
+      post_tags: ['</mark>'],
+      fields: [{ attachment: { type: 'unified' } }],
+    });
+  });
+});
+
+describe('CustomESRequestSerializer ranking', () => {
+  const rankingSerializer = new CustomESRequestSerializer({
+    searchedFields: fields,
+    facet_fields: [],
+    ranking: {
+      decay_function: 'gauss',
+      decay_field: 'modified',
+      decay_scale: '30d',
+      decay_offset: '7d',
+      decay_weight: '2',
+    },
+  });
+
+  it('adds a decay on a date field to the relevance', () => {
+    const { query } = rankingSerializer.serialize({
+      ...stateQuery,
+      queryString: 'garden',
+    });
+    expect(query.function_score).toEqual({
+      query: serializer.serialize({ ...stateQuery, queryString: 'garden' })
+        .query,
+      functions: [
+        {
+          gauss: {
+            modified: { origin: 'now', scale: '30d', offset: '7d' },
+          },
+          weight: 2,
+        },
+      ],
+      boost_mode: 'sum',
+    });
+  });
+
+  it('ranks all documents by recency without search string', () => {
+    const { query } = rankingSerializer.serialize(stateQuery);
+    expect(query.function_score.query).toEqual({ match_all: {} });
+  });
+
+  it('multiplies the relevance by boosts of field values', () => {
+    const boostingSerializer = new CustomESRequestSerializer({
+      searchedFields: fields,
+      facet_fields: [],
+      boosts: {
+        portal_type: ['Document^2', 'File^0.5', 'News Item^x'],
+        section: ['faq^1.5'],
+      },
+    });
+    const { query } = boostingSerializer.serialize(stateQuery);
+    expect(query).toEqual({
+      function_score: {
+        query: { match_all: {} },
+        functions: [
+          { filter: { term: { portal_type: 'Document' } }, weight: 2 },
+          { filter: { term: { portal_type: 'File' } }, weight: 0.5 },
+          { filter: { term: { section: 'faq' } }, weight: 1.5 },
+        ],
+        score_mode: 'multiply',
+        boost_mode: 'multiply',
+      },
+    });
+  });
+
+  it('does not rank if sorted or not configured', () => {
+    expect(
+      rankingSerializer.serialize({
+        ...stateQuery,
+        queryString: 'garden',
+        sortBy: 'modified',
+      }).query.function_score,
+    ).toBeUndefined();
+    expect(serializer.serialize(stateQuery).query).toBeUndefined();
+  });
+});
+
+describe('CustomESRequestSerializer spelling suggestions', () => {
+  it('requests a phrase suggester on the configured field', () => {
+    const suggestingSerializer = new CustomESRequestSerializer({
+      searchedFields: fields,
+      facet_fields: [],
+      suggest_field: 'title',
+    });
+    expect(suggestingSerializer.serializeDidYouMean('gardne')).toEqual({
+      size: 0,
+      suggest: {
+        text: 'gardne',
+        did_you_mean: {
+          phrase: {
+            field: 'title',
+            size: 1,
+            direct_generator: [{ field: 'title', suggest_mode: 'always' }],
+          },
+        },
+      },
+    });
+  });
+
+  it('does not request suggestions with the results', () => {
+    const suggestingSerializer = new CustomESRequestSerializer({
+      searchedFields: fields,
+      facet_fields: [],
+      suggest_field: 'title',
+    });
+    expect(
+      suggestingSerializer.serialize({ ...stateQuery, queryString: 'gardne' })
+        .suggest,
+    ).toBeUndefined();
+  });
+});
+
+describe('CustomESRequestSerializer autocomplete', () => {
+  it('looks up documents by phrase prefix with restrictions of block', () => {
+    const autocompleteSerializer = new CustomESRequestSerializer({
+      searchedFields: fields,
+      facet_fields: [],
+      allowed_content_types: ['Document'],
+      language: 'de',
+      autocomplete_fields: ['title', 'subjects'],
+    });
+    expect(autocompleteSerializer.serializeAutocomplete('clim')).toEqual({
+      query: {
+        bool: {
+          must: [
+            {
+              multi_match: {
+                query: 'clim',
+                type: 'phrase_prefix',
+                fields: ['title', 'subjects'],
+              },
+            },
+          ],
+          filter: [
+            { terms: { portal_type: ['Document'] } },
+            { terms: { language: ['de'] } },
+          ],
+        },
+      },
+      _source: ['title', 'subjects'],
+      size: 8,
+    });
+    expect(
+      autocompleteSerializer.serializeAutocomplete('clim', [
+        ['language', 'all'],
+      ]).query.bool.filter,
+    ).toEqual([{ terms: { portal_type: ['Document'] } }]);
+  });
+
+  it('looks up popular searches by prefix, most frequent first', () => {
+    expect(serializer.serializePopularSearches('clim')).toEqual({
+      query: { match_phrase_prefix: { query: { query: 'clim' } } },
+      sort: [{ count: { order: 'desc', unmapped_type: 'long' } }],
+      _source: ['query'],
+      size: 3,
+    });
+  });
+});
+
+describe('CustomESRequestSerializer pagination', () => {
+  const tiebreak = { '@id': { order: 'asc', unmapped_type: 'keyword' } };
+
+  it('pages with from', () => {
+    const body = serializer.serialize({ ...stateQuery, page: 3 });
+    expect(body.from).toEqual(20);
+    expect(body.size).toEqual(10);
+    expect(body.track_total_hits).toEqual(100000);
+    expect(body.sort).toBeUndefined();
+    expect(
+      serializer.serialize({
+        ...stateQuery,
+        sortBy: 'modified',
+        sortOrder: 'desc',
+      }).sort,
+    ).toEqual([{ modified: 'desc' }]);
+  });
+
+  it('sorts the last page of the result window stable', () => {
+    const body = serializer.serialize({ ...stateQuery, page: 1000 });
+    expect(body.from).toEqual(9990);
+    expect(body.sort).toEqual([{ _score: 'desc' }, tiebreak]);
+  });
+
+  it('pages beyond the result window with search_after', () => {
+    const hiddenParams = [
+      ['search_after', '1001', JSON.stringify([1.5, 'http://x/doc'])],
+    ];
+    const body = serializer.serialize({
+      ...stateQuery,
+      page: 1001,
+      hiddenParams,
+    });
+    expect(body.search_after).toEqual([1.5, 'http://x/doc']);
+    expect(body.from).toBeUndefined();
+    expect(body.sort).toEqual([{ _score: 'desc' }, tiebreak]);
+    // Sort values of another page are ignored.
+    expect(
+      serializer.serialize({ ...stateQuery, page: 2, hiddenParams })
+        .search_after,
+    ).toBeUndefined();
+  });
+
+  it('falls back to the last page of the window without valid sort values', () => {
+    [
+      [],
+      [['search_after', '1001']],
+      [['search_after', '1001', '[1.5, "http://x/d']],
+      [['search_after', '1001', '{"a": 1}']],
+    ].forEach((hiddenParams) => {
+      const body = serializer.serialize({
+        ...stateQuery,
+        page: 1001,
+        hiddenParams,
+      });
+      expect(body.search_after).toBeUndefined();
+      expect(body.from).toEqual(9990);
+    });
+  });
+});
+
+describe('CustomESRequestSerializer best bets', () => {
+  it('excludes best bets from the hits', () => {
+    const bestBetsSerializer = new CustomESRequestSerializer({
+      searchedFields: fields,
+      facet_fields: [],
+      backend_url: 'http://localhost:8080/Plone',
+      best_bets: [
+        { keywords: ['holidays'], items: [{ '@id': '/holidays/calendar' }] },
+      ],
+    });
+    const { post_filter } = bestBetsSerializer.serialize({
+      ...stateQuery,
+      queryString: 'holidays',
+    });
+    expect(post_filter.bool.must_not).toEqual([
+      {
+        terms: {
+          '@id': ['http://localhost:8080/Plone/holidays/calendar'],
+        },
+      },
+    ]);
+    expect(
+      bestBetsSerializer.serialize({ ...stateQuery, queryString: 'garden' })
+        .post_filter.bool.must_not,
+    ).toBeUndefined();
+  });
+});
+
+describe('CustomESRequestSerializer date range facet', () => {
+  const facetSerializer = new CustomESRequestSerializer({
+    searchedFields: ['title'],
+    facet_fields: [
+      { field: { value: 'portal_type' }, title: 'Type' },
+      { field: { value: 'effective' }, title: 'Date', type: 'daterange' },
+    ],
+    search_sections: { items: [] },
+  });
+
+  it('requests a date range aggregation with presets', () => {
+    const { aggs } = facetSerializer.serialize(stateQuery);
+    expect(aggs.effective_agg.aggs).toEqual({
+      effective_agg: {
+        date_range: {
+          field: 'effective',
+          ranges: [
+            { key: 'last7days', from: 'now-7d/d' },
+            { key: 'lastmonth', from: 'now-1M/d' },
+            { key: 'lastyear', from: 'now-1y/d' },
+          ],
+        },
+      },
+    });
+  });
+
+  it('filters by a preset and by a custom range', () => {
+    let body = facetSerializer.serialize({
+      ...stateQuery,
+      filters: [['effective_agg', 'last7days']],
+    });
+    expect(body.post_filter.bool.must).toEqual([
+      { range: { effective: { gte: 'now-7d/d' } } },
+    ]);
+
+    body = facetSerializer.serialize({
+      ...stateQuery,
+      filters: [
+        ['effective_agg', '2024-01-01..2024-01-31'],
+        ['portal_type_agg', 'Document'],
+      ],
+    });
+    expect(body.post_filter.bool.must).toEqual([
+      {
+        range: {
+          effective: { gte: '2024-01-01', lte: '2024-01-31||/d' },
+        },
+      },
+      { terms: { portal_type: ['Document'] } },
+    ]);
+    // Counts of a facet do not depend on the selection in the facet itself.
+    expect(body.aggs.effective_agg.filter.bool.must).toEqual([
+      { terms: { portal_type: ['Document'] } },
+    ]);
+    expect(body.aggs.portal_type_agg.filter.bool.must).toEqual([
+      {
+        range: {
+          effective: { gte: '2024-01-01', lte: '2024-01-31||/d' },
+        },
+      },
+    ]);
+    expect(
+      body.aggs.effective_agg.aggs.effective_agg.date_range.ranges,
+    ).toContainEqual({
+      key: '2024-01-01..2024-01-31',
+      from: '2024-01-01',
+      to: '2024-01-31||+1d/d',
+    });
+  });
+});
+
+describe('CustomESRequestSerializer numeric range facet', () => {
+  const facetSerializer = new CustomESRequestSerializer({
+    searchedFields: ['title'],
+    facet_fields: [
+      { field: { value: 'portal_type' }, title: 'Type' },
+      {
+        field: { value: 'year' },
+        title: 'Year',
+        type: 'numericrange',
+        interval: 10,
+      },
+    ],
+    search_sections: { items: [] },
+  });
+
+  it('requests stats and histogram', () => {
+    const { aggs } = facetSerializer.serialize(stateQuery);
+    expect(aggs.year_agg.aggs).toEqual({
+      year_agg: { stats: { field: 'year' } },
+      year_agg_histogram: {
+        histogram: { field: 'year', interval: 10, min_doc_count: 1 },
+      },
+    });
+  });
+
+  it('requests no histogram without interval', () => {
+    const serializerWithoutInterval = new CustomESRequestSerializer({
+      searchedFields: ['title'],
+      facet_fields: [
+        { field: { value: 'year' }, title: 'Year', type: 'numericrange' },
+      ],
+      search_sections: { items: [] },
+    });
+    const { aggs } = serializerWithoutInterval.serialize(stateQuery);
+    expect(aggs.year_agg.aggs).toEqual({
+      year_agg: { stats: { field: 'year' } },
+    });
+  });
+
+  it('filters by the selected interval', () => {
+    const body = facetSerializer.serialize({
+      ...stateQuery,
+      filters: [['year_agg', '1990..2005']],
+    });
+    const clause = { range: { year: { gte: 1990, lte: 2005 } } };
+    expect(body.post_filter.bool.must).toEqual([clause]);
+    expect(body.aggs.portal_type_agg.filter.bool.must).toEqual([clause]);
+    expect(body.aggs.year_agg.filter.bool.must).toEqual([]);
+  });
+});
+
+describe('CustomESRequestSerializer hierarchical facet', () => {
+  const facetSerializer = new CustomESRequestSerializer({
+    searchedFields: ['title'],
+    facet_fields: [
+      {
+        field: { value: 'category' },
+        title: 'Category',
+        type: 'hierarchical',
+        child_field: { value: 'subcategory' },
+      },
+      {
+        field: { value: 'taxonomy' },
+        title: 'Taxonomy',
+        type: 'hierarchical',
+        path_separator: '.',
+      },
+    ],
+    search_sections: { items: [] },
+  });
+
+  it('requests terms of children per parent', () => {
+    const { aggs } = facetSerializer.serialize(stateQuery);
+    expect(aggs.category_agg.aggs.category_agg.aggs).toEqual({
+      category_child_agg: {
+        terms: {
+          field: 'subcategory',
+          order: { _key: 'asc' },
+          size: 500,
+        },
+      },
+    });
+    expect(aggs.taxonomy_agg.aggs.taxonomy_agg.terms.include).toEqual(
+      '[^\\.]+',
+    );
+    expect(
+      aggs.taxonomy_agg.aggs.taxonomy_agg.aggs.taxonomy_child_agg.terms,
+    ).toEqual({
+      field: 'taxonomy',
+      order: { _key: 'asc' },
+      size: 500,
+      include: '[^\\.]+\\.[^\\.]+',
+    });
+  });
+
+  it('filters by selected parents and by selected children', () => {
+    const body = facetSerializer.serialize({
+      ...stateQuery,
+      filters: [
+        ['category_agg', 'energy'],
+        ['category_agg', 'water', ['category_child_agg', 'rivers']],
+        ['category_agg', 'water', ['category_child_agg', 'lakes']],
+        ['taxonomy_agg', 'a', ['taxonomy_child_agg', 'a.b']],
+      ],
+    });
+    expect(body.post_filter.bool.must).toEqual([
+      {
+        bool: {
+          should: [
+            { terms: { category: ['energy'] } },
+            {
+              bool: {
+                must: [
+                  { term: { category: 'water' } },
+                  { terms: { subcategory: ['rivers', 'lakes'] } },
+                ],
+              },
+            },
+          ],
+          minimum_should_match: 1,
+        },
+      },
+      {
+        bool: {
+          must: [{ term: { taxonomy: 'a' } }, { terms: { taxonomy: ['a.b'] } }],
+        },
+      },
+    ]);
+    expect(body.aggs.category_agg.filter.bool.must).toHaveLength(1);
+  });
+});
+
+describe('CustomESRequestSerializer terms facet', () => {
+  const facetSerializer = new CustomESRequestSerializer({
+    searchedFields: ['title'],
+    facet_fields: [
+      { field: { value: 'portal_type' }, title: 'Type' },
+      { field: { value: 'topics' }, title: 'Topics', operator: 'and' },
+    ],
+    search_sections: { items: [] },
+  });
+
+  it('requests buckets in configured order and number', () => {
+    const orderedSerializer = new CustomESRequestSerializer({
+      searchedFields: ['title'],
+      facet_fields: [
+        { field: { value: 'portal_type' }, title: 'Type' },
+        {
+          field: { value: 'topics' },
+          title: 'Topics',
+          order: 'count',
+          size: 20,
+        },
+      ],
+      search_sections: { items: [] },
+    });
+    const { aggs } = orderedSerializer.serialize(stateQuery);
+    expect(aggs.portal_type_agg.aggs.portal_type_agg.terms).toEqual({
+      field: 'portal_type',
+      order: { _key: 'asc' },
+      size: 500,
+    });
+    expect(aggs.topics_agg.aggs.topics_agg.terms).toEqual({
+      field: 'topics',
+      order: { _count: 'desc' },
+      size: 20,
+    });
+  });
+
+  it('excludes options', () => {
+    const body = facetSerializer.serialize({
+      ...stateQuery,
+      filters: [['portal_type_agg', '!News Item']],
+    });
+    const clause = {
+      bool: {
+        must: [],
+        must_not: [{ terms: { portal_type: ['News Item'] } }],
+      },
+    };
+    expect(body.post_filter.bool.must).toEqual([clause]);
+    expect(body.aggs.topics_agg.filter.bool.must).toEqual([clause]);
+    expect(body.aggs.portal_type_agg.filter.bool.must).toEqual([]);
+  });
+
+  it('combines options with operator and', () => {
+    const body = facetSerializer.serialize({
+      ...stateQuery,
+      filters: [
+        ['topics_agg', 'energy'],
+        ['topics_agg', 'water'],
+        ['topics_agg', '!nuclear'],
+      ],
+    });
+    const included = [
+      { term: { topics: 'energy' } },
+      { term: { topics: 'water' } },
+    ];
+    expect(body.post_filter.bool.must).toEqual([
+      {
+        bool: {
+          must: included,
+          must_not: [{ terms: { topics: ['nuclear'] } }],
+        },
+      },
+    ]);
+    // Counts narrow down with the selected options, not with the excluded.
+    expect(body.aggs.topics_agg.filter.bool.must).toEqual([
+      { bool: { must: included } },
+    ]);
+  });
+});
+
+describe('CustomESRequestSerializer large facet', () => {
+  const facetSerializer = new CustomESRequestSerializer({
+    searchedFields: ['title'],
+    facet_fields: [
+      { field: { value: 'authors' }, title: 'Authors', large: true },
+      { field: { value: 'portal_type' }, title: 'Type' },
+    ],
+    search_sections: { items: [] },
+  });
+
+  it('looks up values case insensitive', () => {
+    const { aggs } = facetSerializer.serialize({
+      ...stateQuery,
+      hiddenParams: [
+        ['authors_agg_lookup', 'Mü.'],
+        ['portal_type_agg_lookup', 'doc'],
+      ],
+    });
+    expect(aggs.authors_agg.aggs.authors_agg.terms.include).toEqual(
+      '.*[mM][üÜ]\\..*',
+    );
+    // Only large facets are looked up on server.
+    expect(aggs.portal_type_agg.aggs.portal_type_agg.terms.include).toBe(
+      undefined,
+    );
+  });
+});
+
+describe('CustomESRequestSerializer language', () => {
+  const languageSerializer = new CustomESRequestSerializer({
+    searchedFields: ['title'],
+    facet_fields: [{ field: { value: 'portal_type' }, title: 'Type' }],
+    search_sections: { items: [] },
+    language: 'en',
+    language_facet: true,
+  });
+  const restriction = { terms: { language: ['en'] } };
+
+  it('restricts to the current language', () => {
+    const body = languageSerializer.serialize(stateQuery);
+    expect(body.post_filter.bool.must).toEqual([restriction]);
+    expect(body.aggs.portal_type_agg.filter.bool.must).toEqual([restriction]);
+    // The language facet counts all languages.
+    expect(body.aggs.language_agg.filter.bool.must).toEqual([]);
+  });
+
+  it('searches in all languages or in selected languages', () => {
+    let body = languageSerializer.serialize({
+      ...stateQuery,
+      filters: [['language', 'all']],
+    });
+    expect(body.post_filter.bool.must).toEqual([]);
+
+    body = languageSerializer.serialize({
+      ...stateQuery,
+      filters: [['language_agg', 'de']],
+    });
+    expect(body.post_filter.bool.must).toEqual([
+      { terms: { language: ['de'] } },
+    ]);
+  });
+});
+
+describe('CustomESRequestSerializer path', () => {
+  const pathSerializer = new CustomESRequestSerializer({
+    searchedFields: ['title'],
+    facet_fields: [{ field: { value: 'portal_type' }, title: 'Type' }],
+    search_sections: { items: [] },
+    backend_url: 'http://localhost:8080/Plone',
+    path: '/handbook',
+  });
+
+  it('restricts to path unless whole site is searched', () => {
+    const restriction = {
+      bool: {
+        should: [
+          { term: { '@id': 'http://localhost:8080/Plone/handbook' } },
+          { prefix: { '@id': 'http://localhost:8080/Plone/handbook/' } },
+        ],
+        minimum_should_match: 1,
+      },
+    };
+    let body = pathSerializer.serialize(stateQuery);
+    expect(body.post_filter.bool.must).toEqual([restriction]);
+    expect(body.aggs.portal_type_agg.filter.bool.must).toEqual([restriction]);
+
+    body = pathSerializer.serialize({
+      ...stateQuery,
+      filters: [['scope', 'site']],
+    });
+    expect(body.post_filter.bool.must).toEqual([]);
+  });
+});
+
+describe('CustomESRequestSerializer synonyms', () => {
+  const synonymsSerializer = new CustomESRequestSerializer({
+    searchedFields: ['title'],
+    facet_fields: [],
+    search_sections: { items: [] },
+    synonyms: ['Velo, Fahrrad'],
+  });
+
+  it('searches synonyms with lower boost', () => {
+    const { query } = synonymsSerializer.serialize({
+      ...stateQuery,
+      queryString: 'velo -fahrrad',
+    });
+    expect(query.bool.should).toEqual([
+      {
+        bool: {
+          should: [
+            { query_string: { query: 'velo velo~', fields: ['title'] } },
+            {
+              query_string: {
+                query: 'Fahrrad Fahrrad~',
+                fields: ['title'],
+                boost: 0.5,
+              },
+            },
+          ],
+          minimum_should_match: 1,
+        },
+      },
+    ]);
+    // Excluded words are not expanded.
+    expect(query.bool.must_not).toEqual([
+      { query_string: { query: 'fahrrad', fields: ['title.exact'] } },
+    ]);
+  });
+});
+
+describe('CustomESRequestSerializer fielded search', () => {
+  const fieldedSerializer = new CustomESRequestSerializer({
+    searchedFields: ['title', 'description'],
+    facet_fields: [{ field: { value: 'portal_type' }, title: 'Type' }],
+    search_sections: { items: [] },
+    field_aliases: [
+      { alias: 'titel', field: 'title' },
+      { alias: 'typ', field: 'portal_type' },
+      { alias: 'autor', field: 'creators' },
+    ],
+  });
+
+  it('searches in aliased fields and filters facet fields', () => {
+    const { query } = fieldedSerializer.serialize({
+      ...stateQuery,
+      queryString: 'titel:climate autor:"Ada Lovelace" -typ:File foo:bar',
+    });
+    expect(query.bool.should).toEqual([
+      { query_string: { query: 'climate climate~', fields: ['title'] } },
+      {
+        query_string: { query: '"Ada Lovelace"', fields: ['creators'] },
+      },
+      {
+        query_string: {
+          query: 'foo\\:bar foo\\:bar~',
+          fields: ['title', 'description'],
+        },
+      },
+    ]);
+    expect(query.bool.must_not).toEqual([{ term: { portal_type: 'File' } }]);
+  });
+
+  it('requires clauses on facet fields', () => {
+    const climate = {
+      query_string: {
+        query: 'climate climate~',
+        fields: ['title', 'description'],
+      },
+    };
+    const file = { term: { portal_type: 'File' } };
+    ['climate typ:File', 'climate (typ:File)', 'climate +typ:File'].forEach(
+      (queryString) => {
+        const { query } = fieldedSerializer.serialize({
+          ...stateQuery,
+          queryString,
+        });
+        expect(query.bool.filter).toEqual([file]);
+        expect(query.bool.must).toHaveLength(1);
+        expect(query.bool.must[0].bool.should).toEqual([climate]);
+      },
+    );
+    expect(
+      fieldedSerializer.serialize({ ...stateQuery, queryString: 'typ:File' })
+        .query,
+    ).toEqual({ bool: { must: [], filter: [file] } });
+  });
+
+  it('keeps clauses on facet fields as alternatives of OR', () => {
+    const { query } = fieldedSerializer.serialize({
+      ...stateQuery,
+      queryString: 'typ:File OR typ:Event',
+    });
+    expect(query.bool.filter).toBeUndefined();
+    expect(query.bool.should[0].bool.should).toEqual([
+      { term: { portal_type: 'File' } },
+      { term: { portal_type: 'Event' } },
+    ]);
+  });
+});
+
+describe('CustomESRequestSerializer nested fields', () => {
+  const nestedSerializer = new CustomESRequestSerializer({
+    searchedFields: ['title', 'relatedItems.title^0.5'],
+    nested_paths: ['relatedItems', 'informationtype'],
+    facet_fields: [
+      {
+        field: { value: 'informationtype' },
+        title: 'Information type',
+        nested_subfield: 'token',
+      },
+    ],
+    search_sections: { items: [] },
+  });
+
+  it('searches nested fields in nested queries with inner hits', () => {
+    const { query, highlight } = nestedSerializer.serialize({
+      ...stateQuery,
+      queryString: '+climate',
+    });
+    expect(query.bool.must[0].bool.must).toEqual([
+      {
+        bool: {
+          should: [
+            { query_string: { query: 'climate', fields: ['title'] } },
+            {
+              nested: {
+                path: 'relatedItems',
+                query: {
+                  query_string: {
+                    query: 'climate',
+                    fields: ['relatedItems.title^0.5'],
+                  },
+                },
+                score_mode: 'max',
+              },
+            },
+          ],
+          minimum_should_match: 1,
+        },
+      },
+    ]);
+    expect(query.bool.should).toEqual([
+      {
+        nested: {
+          path: 'relatedItems',
+          query: {
+            simple_query_string: {
+              query: '+climate',
+              fields: ['relatedItems.title^0.5'],
+            },
+          },
+          score_mode: 'none',
+          inner_hits: {
+            _source: false,
+            highlight: {
+              number_of_fragments: 20,
+              fields: [{ 'relatedItems.title': { type: 'unified' } }],
+            },
+          },
+        },
+      },
+    ]);
+    expect(highlight.fields).toEqual([
+      { title: { matched_fields: ['title', 'title.exact'], type: 'fvh' } },
+    ]);
+  });
+
+  it('filters and counts options of nested facets per document', () => {
+    const body = nestedSerializer.serialize({
+      ...stateQuery,
+      filters: [
+        ['informationtype_agg', 'report'],
+        ['informationtype_agg', '!draft'],
+      ],
+    });
+    expect(body.post_filter.bool.must).toEqual([
+      {
+        bool: {
+          must: [
+            {
+              nested: {
+                path: 'informationtype',
+                query: { terms: { 'informationtype.token': ['report'] } },
+              },
+            },
+          ],
+          must_not: [
+            {
+              nested: {
+                path: 'informationtype',
+                query: { terms: { 'informationtype.token': ['draft'] } },
+              },
+            },
+          ],
+        },
+      },
+    ]);
+    expect(body.aggs.informationtype_agg.aggs).toEqual({
+      informationtype_agg: {
+        nested: { path: 'informationtype' },
+        aggs: {
+          informationtype_agg: {
+            terms: {
+              field: 'informationtype.token',
+              order: { _key: 'asc' },
+              size: 500,
+            },
+            aggs: { parent_documents: { reverse_nested: {} } },
+          },
+        },
+      },
+    });
+  });
+});
+
+describe('CustomESRequestSerializer collapse', () => {
+  const collapseSerializer = new CustomESRequestSerializer({
+    searchedFields: ['title'],
+    facet_fields: [],
+    search_sections: { items: [] },
+    collapse_field: 'translation_group',
+  });
+
+  it('collapses results with related items and counts groups', () => {
+    const body = collapseSerializer.serialize({
+      ...stateQuery,
+      page: 1001,
+      hiddenParams: [['search_after', '1001', '[1, "a"]']],
+    });
+    expect(body.collapse).toEqual({
+      field: 'translation_group',
+      inner_hits: {
+        name: 'related',
+        size: 11,
+        _source: ['@id', 'title', 'description', 'language'],
+      },
+    });
+    expect(body.aggs.collapsed_total).toEqual({
+      filter: body.post_filter,
+      aggs: { groups: { cardinality: { field: 'translation_group' } } },
+    });
+    expect(body.search_after).toBeUndefined();
+  });
+});
+
+describe('CustomESRequestSerializer more like this', () => {
+  it('searches documents similar to a document', () => {
+    const body = serializer.serialize({
+      ...stateQuery,
+      filters: [['similar', 'abc123']],
+    });
+    expect(body.query).toEqual({
+      more_like_this: {
+        fields: ['title', 'description'],
+        like: [{ _id: 'abc123' }],
+        min_term_freq: 1,
+      },
+    });
+    expect(body.post_filter.bool.must).toEqual([]);
+  });
+
+  it('combines with the search string', () => {
+    const { query } = serializer.serialize({
+      ...stateQuery,
+      queryString: '+climate',
+      filters: [['similar', 'abc123']],
+    });
+    expect(query.bool.must).toEqual([
+      serializer.getMoreLikeThisQuery('abc123'),
+      {
+        bool: {
+          should: [],
+          must: [{ query_string: { query: 'climate', fields } }],
+          must_not: [],
+        },
+      },
+    ]);
+  });
+});
+
+describe('CustomESRequestSerializer geo', () => {
+  const geoSerializer = new CustomESRequestSerializer({
+    searchedFields: ['title'],
+    facet_fields: [{ field: { value: 'portal_type' }, title: 'Type' }],
+    search_sections: { items: [] },
+    geo_field: 'location',
+  });
+
+  it('filters by geo filter and requests clusters without it', () => {
+    const body = geoSerializer.serialize({
+      ...stateQuery,
+      filters: [['geo_agg', 'distance_47.37,8.54,10km']],
+    });
+    const geoQuery = {
+      geo_distance: { distance: '10km', location: { lat: 47.37, lon: 8.54 } },
+    };
+    expect(body.post_filter.bool.must).toEqual([geoQuery]);
+    expect(body.aggs.portal_type_agg.filter.bool.must).toEqual([geoQuery]);
+    expect(body.aggs.geo_agg).toEqual({
+      filter: { bool: { must: [] } },
+      aggs: {
+        geo_agg: {
+          geohash_grid: { field: 'location', precision: 5 },
+          aggs: { centroid: { geo_centroid: { field: 'location' } } },
+        },
+      },
+    });
+  });
+});
+
+describe('CustomESRequestSerializer builders', () => {
+  const builderSerializer = new CustomESRequestSerializer({
+    searchedFields: ['title'],
+    facet_fields: [{ field: { value: 'portal_type' }, title: 'Type' }],
+    search_sections: { items: [] },
+    query_builder: ({ queryString, defaultQuery }) =>
+      queryString === 'exact'
+        ? { match_phrase: { title: queryString } }
+        : defaultQuery,
+    highlight_builder: ({ defaultHighlight }) => ({
+      ...defaultHighlight,
+      number_of_fragments: 1,
+    }),
+    aggregation_builder: ({ aggName, defaultAggregation }) =>
+      aggName === 'portal_type_agg'
+        ? { [aggName]: { terms: { field: 'portal_type', size: 5 } } }
+        : defaultAggregation,
+    post_processors: [
+      (body) => ({ ...body, timeout: '2s' }),
+      (body, { stateQuery }) => ({ ...body, profile: stateQuery.size > 5 }),
+    ],
+  });
+
+  it('builds query, highlight and aggregations with registered builders', () => {
+    const body = builderSerializer.serialize({
+      ...stateQuery,
+      queryString: 'exact',
+    });
+    expect(body.query).toEqual({ match_phrase: { title: 'exact' } });
+    expect(body.highlight.number_of_fragments).toEqual(1);
+    expect(body.aggs.portal_type_agg.aggs).toEqual({
+      portal_type_agg: { terms: { field: 'portal_type', size: 5 } },
+    });
+    expect(body.aggs.section_agg.aggs.section_agg.terms.field).toEqual(
+      'section',
+    );
+  });
+
+  it('applies post-processors in order', () => {
+    const body = builderSerializer.serialize(stateQuery);
+    expect(body.timeout).toEqual('2s');
+    expect(body.profile).toEqual(true);
+  });
+});
+
+describe('CustomESRequestSerializer missing values', () => {
+  const missingSerializer = new CustomESRequestSerializer({
+    searchedFields: ['title'],
+    facet_fields: [
+      { field: { value: 'topics' }, title: 'Topics', show_missing: true },
+    ],
+    search_sections: { items: [] },
+  });
+  const missing = {
+    bool: { must_not: [{ exists: { field: 'topics' } }] },
+  };
+
+  it('requests a bucket of documents without value', () => {
+    const { aggs } = missingSerializer.serialize(stateQuery);
+    expect(aggs.topics_agg.aggs.topics_agg.terms.missing).toEqual(
+      '__missing__',
+    );
+  });
+
+  it('filters documents without value', () => {
+    const body = missingSerializer.serialize({
+      ...stateQuery,
+      filters: [
+        ['topics_agg', 'energy'],
+        ['topics_agg', '__missing__'],
+      ],
+    });
+    expect(body.post_filter.bool.must).toEqual([
+      {
+        bool: {
+          should: [{ terms: { topics: ['energy'] } }, missing],
+          minimum_should_match: 1,
+        },
+      },
+    ]);
+  });
+
+  it('excludes documents without value', () => {
+    const body = missingSerializer.serialize({
+      ...stateQuery,
+      filters: [['topics_agg', '!__missing__']],
+    });
+    expect(body.post_filter.bool.must).toEqual([
+      { bool: { must: [], must_not: [missing] } },
+    ]);
+  });
+});
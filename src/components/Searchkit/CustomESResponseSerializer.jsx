@@ -1,8 +1,69 @@
+import { uniqBy } from 'lodash';
+import { getChildAgg, getFacetsFromObjectList } from '../helpers.jsx';
+import {
+  COLLAPSED_TOTAL_AGG,
+  NESTED_PARENTS_AGG,
+  RELATED_INNER_HITS,
+} from './CustomESRequestSerializer';
+
+/**
+ * Terms of nested facets, counted per parent document
+ * The terms aggregation inside of the nested aggregation replaces the latter.
+ * @param {Object} aggregations ES aggregations
+ */
+function _pimpNestedBuckets(aggregations) {
+  Object.keys(aggregations || {}).forEach((element) => {
+    const nestedAgg = aggregations[element]?.[element];
+    if (!nestedAgg?.[element]?.buckets) {
+      return;
+    }
+    aggregations[element][element] = {
+      ...nestedAgg[element],
+      buckets: nestedAgg[element].buckets.map((bucket) => ({
+        ...bucket,
+        doc_count: bucket[NESTED_PARENTS_AGG]?.doc_count ?? bucket.doc_count,
+      })),
+    };
+  });
+}
+
+/**
+ * Children of parent buckets of hierarchical facets
+ * Of path-based taxonomies only the children of the parent path are kept,
+ * labeled with their last path segment.
+ * @param {Object} aggregations ES aggregations
+ * @param {Object} facets facet configurations by field name
+ */
+function _pimpChildBuckets(aggregations, facets) {
+  Object.keys(facets).forEach((fieldName) => {
+    const childAgg = getChildAgg(fieldName, facets[fieldName]);
+    const separator = facets[fieldName].path_separator;
+    const buckets = aggregations[`${fieldName}_agg`]?.buckets;
+    if (!childAgg || !buckets) {
+      return;
+    }
+    buckets.forEach((bucket) => {
+      const prefix = `${bucket.key}${separator}`;
+      const childBuckets = bucket[childAgg.aggName]?.buckets || [];
+      bucket[childAgg.aggName] = {
+        ...bucket[childAgg.aggName],
+        buckets: (separator
+          ? childBuckets.filter((child) => child.key.startsWith(prefix))
+          : childBuckets
+        ).map((child) => ({
+          ...child,
+          label: separator ? child.key.slice(prefix.length) : child.key,
+        })),
+      };
+    });
+  });
+}
+
 function _pimpedAggregations(aggregations) {
   let result = Object.assign({}, aggregations);
   let buckets = [];
   Object.keys(result).forEach((element) => {
-    if (result[element] && result[element][element].buckets) {
+    if (result[element]?.[element]?.buckets) {
       result[element].buckets = result[element][element].buckets;
       buckets = result[element].buckets;
     } else {
@@ -24,6 +85,49 @@ export class CustomESResponseSerializer {
     this.serialize = this.serialize.bind(this);
     this.backend_url = config.backend_url;
     this.frontend_url = config.frontend_url;
+    this.facets = getFacetsFromObjectList(config.facet_fields);
+    this.autocomplete_fields = config.autocomplete_fields?.length
+      ? config.autocomplete_fields
+      : ['title'];
+  }
+
+  /**
+   * Completions of a typed search string: values of the autocomplete fields
+   * @param {object} payload the backend response payload
+   * @returns {Array} completions without duplicates
+   */
+  serializeAutocomplete(payload) {
+    const values = (payload.hits?.hits || []).flatMap((hit) =>
+      this.autocomplete_fields.flatMap((fieldName) =>
+        [].concat(hit._source?.[fieldName] ?? []),
+      ),
+    );
+    return uniqBy(
+      values.filter((value) => typeof value === 'string' && value.trim()),
+      (value) => value.toLowerCase(),
+    );
+  }
+
+  /**
+   * Popular searches of all users, most frequent first
+   * @param {object} payload the backend response payload
+   * @returns {Array} search strings
+   */
+  serializePopularSearches(payload) {
+    return (payload.hits?.hits || [])
+      .map((hit) => hit._source?.query)
+      .filter((query) => typeof query === 'string' && query.trim());
+  }
+
+  /**
+   * Spelling suggestions for "Did you mean"
+   * @param {object} payload the backend response payload
+   * @returns {Array} suggested search strings
+   */
+  serializeDidYouMean(payload) {
+    return (payload.suggest?.did_you_mean?.[0]?.options || []).map(
+      (option) => option.text,
+    );
   }
 
   /**
@@ -33,15 +137,47 @@ export class CustomESResponseSerializer {
 
   serialize(payload) {
     const { aggregations, hits } = payload;
+    _pimpNestedBuckets(aggregations);
+    // Number of groups of collapsed results, no facet
+    const collapsedTotal = aggregations?.[COLLAPSED_TOTAL_AGG]?.groups.value;
+    const pimpedAggregations = _pimpedAggregations(aggregations) || {};
+    delete pimpedAggregations[COLLAPSED_TOTAL_AGG];
+    _pimpChildBuckets(pimpedAggregations, this.facets);
     const foo = {
-      aggregations: _pimpedAggregations(aggregations) || {},
+      aggregations: pimpedAggregations,
       hits:
         hits?.hits.map((hit) => {
           // TODO Replace hack: Add highlights to _source data
           hit._source['highlight'] = hit.highlight;
+          // Highlights of nested fields
+          Object.values(hit.inner_hits || {}).forEach((innerHits) => {
+            innerHits.hits.hits.forEach((innerHit) => {
+              Object.entries(innerHit.highlight || {}).forEach(
+                ([fieldname, fragments]) => {
+                  hit._source['highlight'] = {
+                    ...hit._source['highlight'],
+                    [fieldname]: (
+                      hit._source['highlight']?.[fieldname] || []
+                    ).concat(fragments),
+                  };
+                },
+              );
+            });
+          });
+          // Documents are indexed by their UID, e.g. for "more like this".
+          hit._source['UID'] = hit._id;
+          // Sort values to fetch the next page with search_after
+          hit._source['_sort'] = hit.sort;
+          // Related documents of collapsed result
+          hit._source['related'] = (
+            hit.inner_hits?.[RELATED_INNER_HITS]?.hits.hits || []
+          )
+            .filter((relatedHit) => relatedHit._id !== hit._id)
+            .map((relatedHit) => relatedHit._source);
           return hit._source;
         }) || [],
-      total: hits?.total.value < 11 ? hits.hits.length : hits?.total.value || 0,
+      // Lower bound if more than TRACK_TOTAL_HITS documents match
+      total: collapsedTotal ?? (hits?.total.value || 0),
     };
     return foo;
   }
@@ -0,0 +1,106 @@
+import { CustomESResponseSerializer } from './CustomESResponseSerializer';
+
+const serializer = new CustomESResponseSerializer({
+  backend_url: 'http://localhost:8080/Plone',
+  frontend_url: 'http://localhost:3000',
+  facet_fields: [{ field: { value: 'portal_type' }, title: 'Type' }],
+});
+
+const hit = (id, uid, innerHits) => ({
+  _id: uid,
+  _source: { '@id': id, title: `Title of ${uid}` },
+  sort: [1.5, id],
+  ...(innerHits && { inner_hits: innerHits }),
+});
+
+describe('CustomESResponseSerializer collapse', () => {
+  it('counts groups and lists related documents', () => {
+    const payload = {
+      hits: {
+        total: { value: 3, relation: 'eq' },
+        hits: [
+          hit('/en/page', 'a', {
+            related: {
+              hits: {
+                total: { value: 2 },
+                hits: [hit('/en/page', 'a'), hit('/de/seite', 'b')],
+              },
+            },
+          }),
+        ],
+      },
+      aggregations: {
+        portal_type_agg: {
+          doc_count: 3,
+          portal_type_agg: { buckets: [{ key: 'Document', doc_count: 3 }] },
+        },
+        collapsed_total: { doc_count: 3, groups: { value: 1 } },
+      },
+    };
+    const { aggregations, hits, total } = serializer.serialize(payload);
+    expect(total).toEqual(1);
+    expect(aggregations.collapsed_total).toBeUndefined();
+    expect(aggregations.portal_type_agg.buckets).toEqual([
+      { key: 'Document', doc_count: 3, label: 'Document' },
+    ]);
+    expect(hits[0].related).toEqual([
+      { '@id': '/de/seite', title: 'Title of b' },
+    ]);
+  });
+
+  it('counts hits without collapsing', () => {
+    const { hits, total } = serializer.serialize({
+      hits: { total: { value: 1 }, hits: [hit('/en/page', 'a')] },
+      aggregations: {},
+    });
+    expect(total).toEqual(1);
+    expect(hits[0].related).toEqual([]);
+  });
+});
+
+describe('CustomESResponseSerializer popular searches', () => {
+  it('lists the search strings of the hits', () => {
+    const payload = {
+      hits: {
+        hits: [
+          { _source: { query: 'climate change' } },
+          { _source: { query: ' ' } },
+          { _source: {} },
+          { _source: { query: 'climate' } },
+        ],
+      },
+    };
+    expect(serializer.serializePopularSearches(payload)).toEqual([
+      'climate change',
+      'climate',
+    ]);
+    expect(serializer.serializePopularSearches({})).toEqual([]);
+  });
+});
+
+describe('CustomESResponseSerializer spelling suggestions', () => {
+  it('returns the options of the phrase suggester', () => {
+    const payload = {
+      suggest: {
+        did_you_mean: [
+          {
+            text: 'gardne party',
+            options: [{ text: 'garden party', score: 0.2 }],
+          },
+        ],
+      },
+    };
+    expect(serializer.serializeDidYouMean(payload)).toEqual(['garden party']);
+    expect(serializer.serializeDidYouMean({})).toEqual([]);
+  });
+
+  it('passes no suggestions with the results', () => {
+    const { aggregations } = serializer.serialize({
+      hits: { hits: [], total: { value: 0 } },
+      suggest: {
+        did_you_mean: [{ text: 'gardne', options: [{ text: 'garden' }] }],
+      },
+    });
+    expect(aggregations.did_you_mean).toBeUndefined();
+  });
+});
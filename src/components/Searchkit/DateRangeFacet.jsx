@@ -0,0 +1,173 @@
+/**
+ * Facet to filter by a date range
+ * Preset ranges 'last 7 days', 'last month', 'last year' and a custom range.
+ * The aggregation is built in CustomESRequestSerializer.
+ */
+import React from 'react';
+import cx from 'classnames';
+import { useIntl } from 'react-intl';
+import Overridable from 'react-overridable';
+import { Button, Dropdown, Item } from 'semantic-ui-react';
+import { withState } from 'react-searchkit';
+
+import { Icon } from '@plone/volto/components';
+import clearSVG from '@plone/volto/icons/clear.svg';
+
+import messages from '../../messages';
+import { getQueryStateWithAggFilters } from '../helpers';
+import { DATE_RANGE_PRESETS, formatRange, parseRange } from './ranges';
+
+const stopPropagation = (event) => {
+  event.stopPropagation();
+};
+
+export const DateRangeFacetElement = (props) => {
+  const { title, buckets, selectedValue, onSelect } = props;
+  const intl = useIntl();
+
+  const selectedRange = parseRange(selectedValue);
+  const [from, setFrom] = React.useState(selectedRange?.from || '');
+  const [to, setTo] = React.useState(selectedRange?.to || '');
+  React.useEffect(() => {
+    const range = parseRange(selectedValue);
+    setFrom(range?.from || '');
+    setTo(range?.to || '');
+  }, [selectedValue]);
+
+  const getCount = (key) =>
+    buckets.find((bucket) => bucket.key === key)?.doc_count ?? 0;
+
+  const onClickPreset = (key, event) => {
+    onSelect(key === selectedValue ? null : key);
+    event.preventDefault();
+    event.stopPropagation();
+  };
+
+  const onApplyCustomRange = (event) => {
+    onSelect(from || to ? formatRange(from, to) : null);
+    event.preventDefault();
+    event.stopPropagation();
+  };
+
+  const onClearCustomRange = (event) => {
+    onSelect(null);
+    event.preventDefault();
+    event.stopPropagation();
+  };
+
+  const dropdowntitle = title + (selectedValue ? ' [1]' : '');
+
+  return (
+    <div className="bucketAE daterangefacet">
+      <Dropdown
+        fluid
+        scrolling
+        text={dropdowntitle}
+        className={cx('fnfilter', {
+          selected: selectedValue,
+        })}
+      >
+        <Dropdown.Menu>
+          {Object.keys(DATE_RANGE_PRESETS).map((key) => (
+            <Dropdown.Item key={key}>
+              {selectedValue === key ? (
+                <Item
+                  onClick={(event) => onClickPreset(key, event)}
+                  className="isSelected right floated"
+                >
+                  <Icon name={clearSVG} size="15px" />
+                </Item>
+              ) : null}
+              <Item
+                onClick={(event) => onClickPreset(key, event)}
+                className={selectedValue === key ? 'isSelected' : ''}
+              >
+                {`${intl.formatMessage(messages[key])} (${getCount(key)})`}
+              </Item>
+            </Dropdown.Item>
+          ))}
+          <Dropdown.Item
+            className={cx('customrange', { isSelected: selectedRange })}
+            onClick={stopPropagation}
+            onKeyDown={stopPropagation}
+          >
+            {selectedRange ? (
+              <Item
+                onClick={onClearCustomRange}
+                className="isSelected right floated"
+              >
+                <Icon name={clearSVG} size="15px" />
+              </Item>
+            ) : null}
+            <div className="label">
+              {intl.formatMessage(messages.customRange)}
+              {selectedRange ? ` (${getCount(selectedValue)})` : ''}
+            </div>
+            <label>
+              {intl.formatMessage(messages.from)}
+              <input
+                type="date"
+                value={from}
+                max={to || undefined}
+                onChange={(event) => setFrom(event.target.value)}
+              />
+            </label>
+            <label>
+              {intl.formatMessage(messages.to)}
+              <input
+                type="date"
+                value={to}
+                min={from || undefined}
+                onChange={(event) => setTo(event.target.value)}
+              />
+            </label>
+            <Button size="mini" onClick={onApplyCustomRange}>
+              {intl.formatMessage(messages.apply)}
+            </Button>
+          </Dropdown.Item>
+        </Dropdown.Menu>
+      </Dropdown>
+    </div>
+  );
+};
+
+const _DateRangeFacet = (props) => {
+  const {
+    title,
+    agg,
+    currentQueryState,
+    currentResultsState,
+    updateQueryState,
+  } = props;
+
+  const selectedValue =
+    currentQueryState.filters.find(
+      (filter) => filter[0] === agg.aggName,
+    )?.[1] || null;
+  const buckets =
+    currentResultsState.data.aggregations?.[agg.aggName]?.buckets || [];
+
+  const onSelect = (value) => {
+    updateQueryState(
+      getQueryStateWithAggFilters(
+        currentQueryState,
+        agg.aggName,
+        value ? [value] : [],
+      ),
+    );
+  };
+
+  return (
+    <Overridable id="DateRangeFacet.element">
+      <DateRangeFacetElement
+        title={title}
+        agg={agg}
+        buckets={buckets}
+        selectedValue={selectedValue}
+        onSelect={onSelect}
+      />
+    </Overridable>
+  );
+};
+
+export default withState(_DateRangeFacet);
@@ -0,0 +1,85 @@
+/**
+ * Spelling suggestions "Did you mean: …" on few or no results
+ * The suggester is requested in CustomESRequestSerializer.serializeDidYouMean
+ * once the results of a search are in.
+ */
+import React from 'react';
+import { isEmpty } from 'lodash';
+import { useIntl } from 'react-intl';
+import { onQueryChanged, withState } from 'react-searchkit';
+
+import messages from '../../messages';
+import { getQueryStateCopy } from '../helpers';
+
+/**
+ * Suggestions are shown if the search has less results
+ */
+export const FEW_RESULTS = 5;
+
+const _DidYouMean = (props) => {
+  const { searchApi, currentQueryState, currentResultsState } = props;
+  const intl = useIntl();
+  const [suggestions, setSuggestions] = React.useState([]);
+
+  const { queryString } = currentQueryState;
+  const { loading, error } = currentResultsState;
+  const { total } = currentResultsState.data;
+  const fewResults =
+    !!queryString && !loading && isEmpty(error) && total < FEW_RESULTS;
+
+  // Look up suggestions on server
+  React.useEffect(() => {
+    if (!fewResults || !searchApi) {
+      setSuggestions([]);
+      return;
+    }
+    let cancelled = false;
+    searchApi
+      .didYouMean(queryString)
+      .catch(() => [])
+      .then((result) => {
+        if (!cancelled) {
+          setSuggestions(
+            result.filter(
+              (suggestion) =>
+                suggestion.toLowerCase() !== queryString.toLowerCase(),
+            ),
+          );
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [fewResults, queryString, searchApi]);
+
+  if (!fewResults || !suggestions.length) {
+    return null;
+  }
+
+  const onClickSuggestion = (suggestion, event) => {
+    event.preventDefault();
+    onQueryChanged({
+      searchQuery: {
+        ...getQueryStateCopy(currentQueryState),
+        queryString: suggestion,
+        page: 1,
+      },
+    });
+  };
+
+  return (
+    <div className="didyoumean">
+      {intl.formatMessage(messages.didYouMean)}{' '}
+      {suggestions.map((suggestion) => (
+        <button
+          key={suggestion}
+          onClick={(event) => onClickSuggestion(suggestion, event)}
+        >
+          {suggestion}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export const DidYouMean = withState(_DidYouMean);
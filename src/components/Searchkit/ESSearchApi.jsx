@@ -9,8 +9,13 @@ export class PloneSearchApi {
     this.validateFetchConfig();
     this.initSerializers(config);
     this.search = this.search.bind(this);
+    this.autocomplete = this.autocomplete.bind(this);
+    this.popularSearches = this.popularSearches.bind(this);
+    this.didYouMean = this.didYouMean.bind(this);
     this.elastic_search_api_url = config.elastic_search_api_url;
     this.elastic_search_api_index = config.elastic_search_api_index;
+    this.popular_searches_index = config.popular_searches_index;
+    this.suggest_field = config.suggest_field;
   }
 
   validateFetchConfig() {
@@ -33,14 +38,36 @@ export class PloneSearchApi {
 
     this.requestSerializer = new requestSerializerCls({
       searchedFields: config.searchedFields,
+      nested_paths: config.nested_paths,
       facet_fields: config.facet_fields,
       allowed_content_types: config.allowed_content_types,
       allowed_review_states: config.allowed_review_states,
       search_sections: config.search_sections,
+      highlight: config.highlight,
+      ranking: config.ranking,
+      boosts: config.boosts,
+      best_bets: config.best_bets,
+      suggest_field: config.suggest_field,
+      collapse_field: config.collapse_field,
+      geo_field: config.geo_field,
+      geohash_precision: config.geohash_precision,
+      query_builder: config.query_builder,
+      highlight_builder: config.highlight_builder,
+      aggregation_builder: config.aggregation_builder,
+      post_processors: config.post_processors,
+      autocomplete_fields: config.autocomplete_fields,
+      synonyms: config.synonyms,
+      field_aliases: config.field_aliases,
+      backend_url: config.backend_url,
+      path: config.path,
+      language: config.language,
+      language_facet: config.language_facet,
     });
     this.responseSerializer = new responseSerializerCls({
       backend_url: config.backend_url,
       frontend_url: config.frontend_url,
+      facet_fields: config.facet_fields,
+      autocomplete_fields: config.autocomplete_fields,
     });
   }
 
@@ -50,6 +77,58 @@ export class PloneSearchApi {
    */
   async search(stateQuery) {
     const payload = this.requestSerializer.serialize(stateQuery);
+    return this.responseSerializer.serialize(await this.post(payload));
+  }
+
+  /**
+   * Perform the backend request for completions of a typed search string.
+   * @param {string} text typed search string
+   * @param {Array} filters selected filters of the query state
+   * @returns {Array} completions
+   */
+  async autocomplete(text, filters) {
+    const payload = this.requestSerializer.serializeAutocomplete(text, filters);
+    return this.responseSerializer.serializeAutocomplete(
+      await this.post(payload),
+    );
+  }
+
+  /**
+   * Perform the backend request for popular searches of all users starting with a typed search string.
+   * @param {string} text typed search string
+   * @returns {Array} search strings, none without index of popular searches
+   */
+  async popularSearches(text) {
+    if (!this.popular_searches_index) {
+      return [];
+    }
+    const payload = this.requestSerializer.serializePopularSearches(text);
+    return this.responseSerializer.serializePopularSearches(
+      await this.post(payload, this.popular_searches_index),
+    );
+  }
+
+  /**
+   * Perform the backend request for spelling suggestions of a search string.
+   * @param {string} text search string
+   * @returns {Array} suggested search strings, none without suggest field
+   */
+  async didYouMean(text) {
+    if (!this.suggest_field) {
+      return [];
+    }
+    const payload = this.requestSerializer.serializeDidYouMean(text);
+    return this.responseSerializer.serializeDidYouMean(
+      await this.post(payload),
+    );
+  }
+
+  /**
+   * Post an ES payload to the backend and return the response.
+   * @param {Object} payload ES payload
+   * @param {string} index ES index, default index of block
+   */
+  async post(payload, index = this.elastic_search_api_index) {
     // Extend paylod with url and index to address elasticsearch server
     try {
       const response = await fetch(this.fetchConfig.url, {
@@ -58,7 +137,7 @@ export class PloneSearchApi {
         body: JSON.stringify({
           elasticsearch_payload: payload,
           elasticsearch_url: this.elastic_search_api_url,
-          elasticsearch_index: this.elastic_search_api_index,
+          elasticsearch_index: index,
         }),
       });
       // let results = await this.responseSerializer.serialize(response.data);
@@ -67,7 +146,6 @@ export class PloneSearchApi {
         throw results
         // throw new Error(`${results.type} ${results.message}`);
       }
-      results = this.responseSerializer.serialize(results);
       return results;
     } catch (error) {
       console.debug('ESSearchApi. error:');
@@ -1,12 +1,17 @@
 /**
  * Component to show matches per document
  * fragment_size is set in CustomESRequestSerializer
+ * fieldLabels: labels of highlighted fields as configured in block
  */
 import React from 'react';
 import { useIntl } from 'react-intl';
 import messages from '../../messages';
 
-export const ElasticSearchHighlights = ({ highlight, indexResult }) => {
+export const ElasticSearchHighlights = ({
+  highlight,
+  indexResult,
+  fieldLabels = {},
+}) => {
   const [toggleDetails, setToggleDetails] = React.useState(false);
 
   const intl = useIntl();
@@ -18,6 +23,7 @@ export const ElasticSearchHighlights = ({ highlight, indexResult }) => {
     freemanualtags_searchable: intl.formatMessage(messages.tags),
     blocks_plaintext: intl.formatMessage(messages.content),
     manualfilecontent: intl.formatMessage(messages.content),
+    ...fieldLabels,
   };
 
   const showDetails = () => {
@@ -92,13 +98,20 @@ export const getFragments = (highlight) => {
   return fragments;
 };
 
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 /**
  * Get matches in a document
  * @param {Object} highlight. part of response of Elasticsearch query
+ * @param {string} preTag tag before a match as configured in block
+ * @param {string} postTag tag after a match as configured in block
  * @returns {Array} Array of strings
  */
-export const getMatches = (highlight) => {
-  const regex = /<em>(.*?)<\/em>/gm;
+export const getMatches = (highlight, preTag = '<em>', postTag = '</em>') => {
+  const regex = new RegExp(
+    `${escapeRegExp(preTag)}(.*?)${escapeRegExp(postTag)}`,
+    'gm',
+  );
   let fragments = getFragments(highlight);
   let matches = [];
   fragments.forEach((fragment) => {
@@ -109,8 +122,13 @@ export const getMatches = (highlight) => {
   return matches;
 };
 
-export const ElasticSearchMatches = ({ highlight, indexResult }) => {
-  const matches = getMatches(highlight);
+export const ElasticSearchMatches = ({
+  highlight,
+  indexResult,
+  preTag,
+  postTag,
+}) => {
+  const matches = getMatches(highlight, preTag, postTag);
   return (
     <div className="highlight metadata" role="button" tabIndex={indexResult}>
       {matches.join(' | ')}
@@ -0,0 +1,26 @@
+import { getMatches } from './ElasticSearchHighlights';
+
+describe('getMatches', () => {
+  it('finds matches between the default tags', () => {
+    const highlight = {
+      title: ['<em>Garden</em> party'],
+      description: ['A <em>garden</em> and a <em>Garden</em>'],
+    };
+    expect(getMatches(highlight)).toEqual(['garden', 'Garden']);
+  });
+
+  it('finds matches between configured tags', () => {
+    const highlight = {
+      title: ['<mark class="hit">Garden</mark> party with <em>cake</em>'],
+      description: ['[*]garden[*]'],
+    };
+    expect(getMatches(highlight, '<mark class="hit">', '</mark>')).toEqual([
+      'Garden',
+    ]);
+    expect(getMatches(highlight, '[*]', '[*]')).toEqual(['garden']);
+  });
+
+  it('finds no matches without highlight', () => {
+    expect(getMatches(undefined)).toEqual([]);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * "More like this": search for documents similar to a result
+ * The mode is the filter ['similar', UID], turned into a more_like_this query
+ * in CustomESRequestSerializer. The title of the document and the search
+ * string before are kept in the hidden parameter ['similar', title, queryString]
+ * to show and to restore them.
+ */
+import React from 'react';
+import { useIntl } from 'react-intl';
+import { Button } from 'semantic-ui-react';
+import { withState } from 'react-searchkit';
+
+import messages from '../../messages';
+import { getQueryStateWithAggFilters } from '../helpers';
+
+const getSimilarParam = (queryState) =>
+  (queryState.hiddenParams || []).find((param) => param[0] === 'similar');
+
+const getHiddenParamsWithoutSimilar = (queryState) =>
+  (queryState.hiddenParams || []).filter((param) => param[0] !== 'similar');
+
+const _SimilarButton = (props) => {
+  const { result, currentQueryState, updateQueryState } = props;
+  const intl = useIntl();
+
+  if (!result.UID) {
+    return null;
+  }
+
+  const onClick = () => {
+    // Keep the search string of the normal query when switching between similar documents.
+    const queryString =
+      getSimilarParam(currentQueryState)?.[2] ?? currentQueryState.queryString;
+    updateQueryState({
+      ...getQueryStateWithAggFilters(currentQueryState, 'similar', [
+        result.UID,
+      ]),
+      queryString: '',
+      hiddenParams: getHiddenParamsWithoutSimilar(currentQueryState).concat([
+        ['similar', result.title, queryString],
+      ]),
+    });
+  };
+
+  return (
+    <button className="similar" onClick={onClick}>
+      {intl.formatMessage(messages.similar)}
+    </button>
+  );
+};
+
+const _SimilarBanner = (props) => {
+  const { currentQueryState, updateQueryState } = props;
+  const intl = useIntl();
+
+  const isSimilar = currentQueryState.filters.some(
+    (filter) => filter[0] === 'similar',
+  );
+  if (!isSimilar) {
+    return null;
+  }
+  const similarParam = getSimilarParam(currentQueryState);
+
+  const onBack = () => {
+    updateQueryState({
+      ...getQueryStateWithAggFilters(currentQueryState, 'similar', []),
+      queryString: similarParam?.[2] || '',
+      hiddenParams: getHiddenParamsWithoutSimilar(currentQueryState),
+    });
+  };
+
+  return (
+    <div className="similarbanner">
+      <span>
+        {similarParam?.[1]
+          ? intl.formatMessage(messages.similarTo, { title: similarParam[1] })
+          : intl.formatMessage(messages.similarDocuments)}
+      </span>
+      <Button basic size="small" onClick={onBack}>
+        {intl.formatMessage(messages.backToSearch)}
+      </Button>
+    </div>
+  );
+};
+
+export const SimilarButton = withState(_SimilarButton);
+export const SimilarBanner = withState(_SimilarBanner);
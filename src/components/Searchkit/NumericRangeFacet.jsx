@@ -0,0 +1,167 @@
+/**
+ * Facet to filter by a numeric range
+ * Slider with two handles and a histogram of the distribution of values.
+ * The aggregations are built in CustomESRequestSerializer.
+ */
+import React from 'react';
+import cx from 'classnames';
+import { useIntl } from 'react-intl';
+import Overridable from 'react-overridable';
+import { withState } from 'react-searchkit';
+
+import { Icon } from '@plone/volto/components';
+import clearSVG from '@plone/volto/icons/clear.svg';
+
+import messages from '../../messages';
+import { getQueryStateWithAggFilters } from '../helpers';
+import { formatRange, getNumericRange } from './ranges';
+
+export const NumericRangeFacetElement = (props) => {
+  const { title, min, max, step, histogram, selectedValue, onSelect } = props;
+  const intl = useIntl();
+
+  const getRangeState = React.useCallback(() => {
+    const range = getNumericRange(selectedValue);
+    return [range?.gte ?? min, range?.lte ?? max];
+  }, [selectedValue, min, max]);
+
+  const [range, setRange] = React.useState(getRangeState);
+  React.useEffect(() => {
+    setRange(getRangeState());
+  }, [getRangeState]);
+
+  if (min === null || max === null) {
+    return null;
+  }
+
+  const onChangeFrom = (event) => {
+    setRange([Math.min(Number(event.target.value), range[1]), range[1]]);
+  };
+  const onChangeTo = (event) => {
+    setRange([range[0], Math.max(Number(event.target.value), range[0])]);
+  };
+
+  // Search on release of handle
+  const onCommit = () => {
+    const isFullRange = range[0] <= min && range[1] >= max;
+    const value = isFullRange ? null : formatRange(range[0], range[1]);
+    if (value !== selectedValue) {
+      onSelect(value);
+    }
+  };
+
+  const maxCount = Math.max(...histogram.map((bucket) => bucket.doc_count), 1);
+  // Bars are placed by value, as empty buckets are not requested.
+  const span = max - min + step;
+
+  return (
+    <div className="bucketAE numericrangefacet">
+      <div className={cx('fnfilter', { selected: selectedValue })}>
+        <div className="title">
+          {title}
+          {selectedValue ? (
+            <button
+              className="clear"
+              onClick={() => onSelect(null)}
+              title={intl.formatMessage(messages.reset)}
+            >
+              <Icon name={clearSVG} size="15px" />
+            </button>
+          ) : null}
+        </div>
+        <div className="histogram" aria-hidden="true">
+          {histogram.map((bucket) => (
+            <div
+              key={bucket.key}
+              className={cx('bar', {
+                inrange: bucket.key + step > range[0] && bucket.key <= range[1],
+              })}
+              style={{
+                left: `${((bucket.key - min) / span) * 100}%`,
+                width: `${(step / span) * 100}%`,
+                height: `${(bucket.doc_count / maxCount) * 100}%`,
+              }}
+              title={`${bucket.key}: ${bucket.doc_count}`}
+            />
+          ))}
+        </div>
+        <div className="slider">
+          <input
+            type="range"
+            min={min}
+            max={max}
+            step={step}
+            value={range[0]}
+            onChange={onChangeFrom}
+            onMouseUp={onCommit}
+            onTouchEnd={onCommit}
+            onKeyUp={onCommit}
+            aria-label={`${title} ${intl.formatMessage(messages.from)}`}
+          />
+          <input
+            type="range"
+            min={min}
+            max={max}
+            step={step}
+            value={range[1]}
+            onChange={onChangeTo}
+            onMouseUp={onCommit}
+            onTouchEnd={onCommit}
+            onKeyUp={onCommit}
+            aria-label={`${title} ${intl.formatMessage(messages.to)}`}
+          />
+        </div>
+        <div className="rangelabels">
+          <span>{range[0]}</span>
+          <span>{range[1]}</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const _NumericRangeFacet = (props) => {
+  const {
+    title,
+    agg,
+    facet,
+    currentQueryState,
+    currentResultsState,
+    updateQueryState,
+  } = props;
+
+  const selectedValue =
+    currentQueryState.filters.find(
+      (filter) => filter[0] === agg.aggName,
+    )?.[1] || null;
+  const aggregation = currentResultsState.data.aggregations?.[agg.aggName];
+  const stats = aggregation?.[agg.aggName];
+  const histogram = aggregation?.[`${agg.aggName}_histogram`]?.buckets || [];
+
+  const onSelect = (value) => {
+    updateQueryState(
+      getQueryStateWithAggFilters(
+        currentQueryState,
+        agg.aggName,
+        value ? [value] : [],
+      ),
+    );
+  };
+
+  return (
+    <Overridable id="NumericRangeFacet.element">
+      <NumericRangeFacetElement
+        title={title}
+        agg={agg}
+        min={stats?.min ?? null}
+        max={stats?.max ?? null}
+        step={Number(facet?.interval) || 1}
+        histogram={histogram}
+        selectedValue={selectedValue}
+        onSelect={onSelect}
+      />
+    </Overridable>
+  );
+};
+
+export default withState(_NumericRangeFacet);
@@ -0,0 +1,233 @@
+/**
+ * Parser for the search string typed by users.
+ *
+ * Supported syntax:
+ * - words: climate
+ * - phrases: "climate change"
+ * - wildcards: clim* or clim?te
+ * - required and excluded clauses: +energy -nuclear, -"nuclear power"
+ * - fielded clauses: title:climate, title:"climate change"
+ * - boolean operators: AND, OR, NOT
+ * - grouping with parentheses: climate AND (energy OR power)
+ *
+ * Words without operator are combined like in Lucene: at least one of them
+ * has to match, required clauses must match, excluded clauses must not match.
+ *
+ * The parser never throws. Orphan quotation marks, unbalanced parentheses
+ * and dangling operators are ignored.
+ */
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+/**
+ * Split a search string into tokens
+ * @param {string} queryString search string as typed by the user
+ * @returns {Array} Array of tokens {type, value}
+ *  type: one of 'word', 'phrase', 'field', 'operator', 'modifier', 'lparen', 'rparen'
+ */
+export const tokenize = (queryString) => {
+  const tokens = [];
+  const input = queryString || '';
+  const isWhitespace = (char) => /\s/.test(char);
+  const isBoundary = (char) =>
+    char === undefined || isWhitespace(char) || ['(', ')', '"'].includes(char);
+
+  let i = 0;
+  while (i < input.length) {
+    const char = input[i];
+    if (isWhitespace(char)) {
+      i++;
+    } else if (char === '(') {
+      tokens.push({ type: 'lparen', value: char });
+      i++;
+    } else if (char === ')') {
+      tokens.push({ type: 'rparen', value: char });
+      i++;
+    } else if (char === '"') {
+      const end = input.indexOf('"', i + 1);
+      const value = (
+        end === -1 ? input.slice(i + 1) : input.slice(i + 1, end)
+      ).trim();
+      if (value) {
+        // An orphan quotation mark is ignored, the rest is a phrase.
+        tokens.push({ type: 'phrase', value });
+      }
+      i = end === -1 ? input.length : end + 1;
+    } else if (
+      (char === '+' || char === '-') &&
+      !isWhitespace(input[i + 1] ?? ' ') &&
+      !['+', '-', ')'].includes(input[i + 1])
+    ) {
+      tokens.push({ type: 'modifier', value: char });
+      i++;
+    } else {
+      let j = i;
+      while (!isBoundary(input[j])) {
+        j++;
+      }
+      const value = input.slice(i, j);
+      i = j;
+      // Field name followed by a word or a phrase
+      const fielded = value.match(/^([^:]+):(.*)$/);
+      if (fielded && (fielded[2] || input[j] === '"')) {
+        tokens.push({ type: 'field', value: fielded[1] });
+        if (fielded[2]) {
+          tokens.push({ type: 'word', value: fielded[2] });
+        }
+      } else if (OPERATORS.includes(value)) {
+        tokens.push({ type: 'operator', value });
+      } else if (!['+', '-'].includes(value)) {
+        tokens.push({ type: 'word', value });
+      }
+    }
+  }
+  return tokens;
+};
+
+/**
+ * Parse a search string into an abstract syntax tree
+ *
+ * Node types:
+ * - {type: 'term', value, wildcard}
+ * - {type: 'phrase', value}
+ * - {type: 'field', field, child}: term or phrase searched in field
+ * - {type: 'required', child}: clause prefixed with '+'
+ * - {type: 'not', child}: clause prefixed with '-' or NOT
+ * - {type: 'and', children}
+ * - {type: 'or', children}
+ * - {type: 'sequence', children}: clauses without operator in between
+ *
+ * @param {string} queryString search string as typed by the user
+ * @returns {Object} root node, null for an empty search string
+ */
+export const parse = (queryString) => {
+  const tokens = tokenize(queryString);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (token, value) =>
+    token?.type === 'operator' && token.value === value;
+
+  const parseSequence = () => {
+    const children = [];
+    while (position < tokens.length && peek().type !== 'rparen') {
+      const token = peek();
+      if (isOperator(token, 'AND') || isOperator(token, 'OR')) {
+        // Dangling operator at the start of a clause
+        position++;
+        continue;
+      }
+      const node = parseOr();
+      if (node) {
+        children.push(node);
+      }
+    }
+    if (children.length === 0) {
+      return null;
+    }
+    return { type: 'sequence', children };
+  };
+
+  const parseOr = () => {
+    const children = [];
+    const first = parseAnd();
+    first && children.push(first);
+    while (isOperator(peek(), 'OR')) {
+      position++;
+      const node = parseAnd();
+      node && children.push(node);
+    }
+    return combine('or', children);
+  };
+
+  const parseAnd = () => {
+    const children = [];
+    const first = parseUnary();
+    first && children.push(first);
+    while (isOperator(peek(), 'AND')) {
+      position++;
+      const node = parseUnary();
+      node && children.push(node);
+    }
+    return combine('and', children);
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (!token) {
+      return null;
+    }
+    if (
+      isOperator(token, 'NOT') ||
+      (token.type === 'modifier' && token.value === '-')
+    ) {
+      position++;
+      const child = parseUnary();
+      return child ? { type: 'not', child } : null;
+    }
+    if (token.type === 'modifier' && token.value === '+') {
+      position++;
+      const child = parseUnary();
+      return child ? { type: 'required', child } : null;
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token || token.type === 'rparen') {
+      // Closing parenthesis is left to the enclosing group.
+      return null;
+    }
+    position++;
+    switch (token.type) {
+      case 'lparen': {
+        const node = parseSequence();
+        if (peek()?.type === 'rparen') {
+          position++;
+        }
+        // A group with a single clause is the clause itself.
+        return node?.children.length === 1 ? node.children[0] : node;
+      }
+      case 'phrase':
+        return { type: 'phrase', value: token.value };
+      case 'field': {
+        const child = ['word', 'phrase'].includes(peek()?.type)
+          ? parsePrimary()
+          : null;
+        return child ? { type: 'field', field: token.value, child } : null;
+      }
+      case 'word':
+        return {
+          type: 'term',
+          value: token.value,
+          wildcard: token.value.includes('*') || token.value.includes('?'),
+        };
+      default:
+        // Operators at unexpected places
+        return null;
+    }
+  };
+
+  const combine = (type, children) => {
+    if (children.length === 0) {
+      return null;
+    }
+    return children.length === 1 ? children[0] : { type, children };
+  };
+
+  let root = null;
+  while (position < tokens.length) {
+    const node = parseSequence();
+    if (node) {
+      root = root
+        ? { type: 'sequence', children: root.children.concat(node.children) }
+        : node;
+    }
+    if (peek()?.type === 'rparen') {
+      // Orphan closing parenthesis
+      position++;
+    }
+  }
+  return root;
+};
@@ -0,0 +1,143 @@
+import { parse, tokenize } from './QueryStringParser';
+
+describe('tokenize', () => {
+  it('splits words, phrases, operators and parentheses', () => {
+    expect(tokenize('"climate change" OR (energy -nuclear)')).toEqual([
+      { type: 'phrase', value: 'climate change' },
+      { type: 'operator', value: 'OR' },
+      { type: 'lparen', value: '(' },
+      { type: 'word', value: 'energy' },
+      { type: 'modifier', value: '-' },
+      { type: 'word', value: 'nuclear' },
+      { type: 'rparen', value: ')' },
+    ]);
+  });
+
+  it('keeps hyphens inside of words', () => {
+    expect(tokenize('LSR-Lehrbetrieb')).toEqual([
+      { type: 'word', value: 'LSR-Lehrbetrieb' },
+    ]);
+  });
+
+  it('ignores orphan quotation marks and lonely modifiers', () => {
+    expect(tokenize('" foo - bar +')).toEqual([
+      { type: 'phrase', value: 'foo - bar +' },
+    ]);
+    expect(tokenize('foo - bar')).toEqual([
+      { type: 'word', value: 'foo' },
+      { type: 'word', value: 'bar' },
+    ]);
+  });
+
+  it('splits field names', () => {
+    expect(tokenize('titel:climate typ:"News Item" http:')).toEqual([
+      { type: 'field', value: 'titel' },
+      { type: 'word', value: 'climate' },
+      { type: 'field', value: 'typ' },
+      { type: 'phrase', value: 'News Item' },
+      { type: 'word', value: 'http:' },
+    ]);
+  });
+
+  it('treats lowercase operators as words', () => {
+    expect(tokenize('rock and roll')).toEqual([
+      { type: 'word', value: 'rock' },
+      { type: 'word', value: 'and' },
+      { type: 'word', value: 'roll' },
+    ]);
+  });
+});
+
+describe('parse', () => {
+  it('returns null for an empty search string', () => {
+    expect(parse('')).toBeNull();
+    expect(parse('  AND ')).toBeNull();
+  });
+
+  it('parses words without operator as sequence', () => {
+    expect(parse('foo +bar -baz')).toEqual({
+      type: 'sequence',
+      children: [
+        { type: 'term', value: 'foo', wildcard: false },
+        {
+          type: 'required',
+          child: { type: 'term', value: 'bar', wildcard: false },
+        },
+        { type: 'not', child: { type: 'term', value: 'baz', wildcard: false } },
+      ],
+    });
+  });
+
+  it('binds AND stronger than OR', () => {
+    expect(parse('a OR b AND c')).toEqual({
+      type: 'sequence',
+      children: [
+        {
+          type: 'or',
+          children: [
+            { type: 'term', value: 'a', wildcard: false },
+            {
+              type: 'and',
+              children: [
+                { type: 'term', value: 'b', wildcard: false },
+                { type: 'term', value: 'c', wildcard: false },
+              ],
+            },
+          ],
+        },
+      ],
+    });
+  });
+
+  it('parses groups, phrases, negation and wildcards', () => {
+    expect(parse('"climate change" OR (energ* NOT nuclear)')).toEqual({
+      type: 'sequence',
+      children: [
+        {
+          type: 'or',
+          children: [
+            { type: 'phrase', value: 'climate change' },
+            {
+              type: 'sequence',
+              children: [
+                { type: 'term', value: 'energ*', wildcard: true },
+                {
+                  type: 'not',
+                  child: { type: 'term', value: 'nuclear', wildcard: false },
+                },
+              ],
+            },
+          ],
+        },
+      ],
+    });
+  });
+
+  it('parses fielded clauses', () => {
+    expect(parse('-typ:File titel:"climate change"')).toEqual({
+      type: 'sequence',
+      children: [
+        {
+          type: 'not',
+          child: {
+            type: 'field',
+            field: 'typ',
+            child: { type: 'term', value: 'File', wildcard: false },
+          },
+        },
+        {
+          type: 'field',
+          field: 'titel',
+          child: { type: 'phrase', value: 'climate change' },
+        },
+      ],
+    });
+  });
+
+  it('tolerates unbalanced parentheses and dangling operators', () => {
+    expect(parse('(a OR b')).toEqual(parse('(a OR b)'));
+    expect(parse('a) b')).toEqual(parse('a b'));
+    expect(parse('a AND')).toEqual(parse('a'));
+    expect(parse('(a AND ) b')).toEqual(parse('a b'));
+  });
+});
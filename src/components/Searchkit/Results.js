@@ -1,5 +1,7 @@
 import React, { Component } from 'react';
-import { Grid } from 'semantic-ui-react';
+import { useIntl } from 'react-intl';
+import { Link } from 'react-router-dom';
+import { Grid, Item } from 'semantic-ui-react';
 import {
   Count,
   Pagination,
@@ -9,11 +11,55 @@ import {
 } from 'react-searchkit';
 
 import config from '@plone/volto/registry';
+import { flattenToAppURL } from '@plone/volto/helpers';
 
 // TODO conditional Matomo tracking: catch case if app has not volto-matomo installed
 import { trackSiteSearch } from '@eeacms/volto-matomo/utils';
 
+import messages from '../../messages';
 import { scrollToTarget } from '../helpers';
+import { getSynonymsDictionary, getSynonymsOfQueryString } from './synonyms';
+import { getBestBets } from './bestBets';
+import { MAP_LAYOUT, ResultsLayoutSwitcher, ResultsMap } from './ResultsMap';
+
+const AlsoSearchedFor = ({ queryString, synonyms }) => {
+  const intl = useIntl();
+  const alternatives = getSynonymsOfQueryString(
+    queryString,
+    getSynonymsDictionary(synonyms),
+  );
+  return alternatives.length ? (
+    <div className="alsosearchedfor">
+      {intl.formatMessage(messages.alsoSearchedFor, {
+        synonyms: alternatives.join(', '),
+      })}
+    </div>
+  ) : null;
+};
+
+const BestBets = ({ queryString, bestBets }) => {
+  const intl = useIntl();
+  const items = getBestBets(queryString, bestBets);
+  return items.length ? (
+    <div className="bestbets">
+      <div className="title">{intl.formatMessage(messages.bestBets)}</div>
+      <Item.Group>
+        {items.map((item) => (
+          <Item key={item['@id']}>
+            <Item.Content>
+              <Item.Header as={Link} to={flattenToAppURL(item['@id'])}>
+                {item.title}
+              </Item.Header>
+              {item.description ? (
+                <Item.Description>{item.description}</Item.Description>
+              ) : null}
+            </Item.Content>
+          </Item>
+        ))}
+      </Item.Group>
+    </div>
+  ) : null;
+};
 
 class Results extends Component {
   componentDidMount() {
@@ -44,27 +90,44 @@ class Results extends Component {
 
   render() {
     const { total } = this.props.currentResultsState.data;
-    return total ? (
+    const { queryString, data, layout } = this.props.currentQueryState;
+    const hasBestBets = getBestBets(queryString, data?.best_bets).length > 0;
+    return total || hasBestBets ? (
       <div className="fnresults">
-        <Grid>
-          <Grid.Column width={4}>
-            <Count />
-          </Grid.Column>
-          <Grid.Column width={6}>
-            <Sort
-              className="sortdropdown"
-              values={this.props.sortValues}
-              label={(cmp) => <> {cmp}</>}
-              overridableId="volto"
-            />
-          </Grid.Column>
-        </Grid>
-        <Grid style={{ padding: '2em 0' }}>
-          <ResultsMultiLayout overridableId="elasticsearch" />
-        </Grid>
-        <Grid verticalAlign="middle" textAlign="center">
-          <Pagination options={{ size: 'small' }} />
-        </Grid>
+        <AlsoSearchedFor queryString={queryString} synonyms={data?.synonyms} />
+        <BestBets queryString={queryString} bestBets={data?.best_bets} />
+        {total ? (
+          <>
+            <Grid>
+              <Grid.Column width={4}>
+                <Count />
+              </Grid.Column>
+              <Grid.Column width={6}>
+                <Sort
+                  className="sortdropdown"
+                  values={this.props.sortValues}
+                  label={(cmp) => <> {cmp}</>}
+                  overridableId="volto"
+                />
+              </Grid.Column>
+              {data?.geo_field ? (
+                <Grid.Column width={6} textAlign="right">
+                  <ResultsLayoutSwitcher />
+                </Grid.Column>
+              ) : null}
+            </Grid>
+            <Grid style={{ padding: '2em 0' }}>
+              {data?.geo_field && layout === MAP_LAYOUT ? (
+                <ResultsMap />
+              ) : (
+                <ResultsMultiLayout overridableId="elasticsearch" />
+              )}
+            </Grid>
+            <Grid verticalAlign="middle" textAlign="center">
+              <Pagination options={{ size: 'small' }} />
+            </Grid>
+          </>
+        ) : null}
       </div>
     ) : null;
   }
@@ -0,0 +1,227 @@
+/**
+ * Map layout of results of located content
+ * Clusters count all results by the geohash_grid aggregation of
+ * CustomESRequestSerializer. The results of the current page are shown as
+ * markers with a link. The geo filter is set by "Search this area" or
+ * "Near me", see ./geo.js.
+ *
+ * react-searchkit knows the layouts 'list' and 'grid' only, so the map is
+ * shown for layout 'grid'.
+ */
+import React from 'react';
+import { useIntl } from 'react-intl';
+import { Link } from 'react-router-dom';
+import { Button } from 'semantic-ui-react';
+import { withState } from 'react-searchkit';
+import { injectLazyLibs } from '@plone/volto/helpers/Loadable/Loadable';
+
+import 'leaflet/dist/leaflet.css';
+
+import messages from '../../messages';
+import {
+  flattenESUrlToPath,
+  getQueryStateCopy,
+  getQueryStateWithAggFilters,
+  NoSSR,
+} from '../helpers';
+import {
+  formatBoundingBox,
+  formatDistance,
+  GEO_AGG,
+  getLatLon,
+  parseGeoFilter,
+} from './geo';
+
+export const MAP_LAYOUT = 'grid';
+
+export const DEFAULT_TILE_URL =
+  'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+
+export const DEFAULT_ATTRIBUTION =
+  '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+/**
+ * Initial bounds of the map: the bounding box of the geo filter, else all points
+ * @param {Object} geoFilter parsed geo filter
+ * @param {Array} points [lat, lon] of clusters and results
+ * @returns {Array} Leaflet bounds, null to show the whole world
+ */
+const getInitialBounds = (geoFilter, points) => {
+  if (geoFilter?.type === 'bbox') {
+    return [
+      [geoFilter.top, geoFilter.left],
+      [geoFilter.bottom, geoFilter.right],
+    ];
+  }
+  if (geoFilter?.type === 'distance') {
+    return [[geoFilter.lat, geoFilter.lon]];
+  }
+  return points.length ? points : null;
+};
+
+const _ResultsMap = (props) => {
+  const { currentQueryState, currentResultsState, updateQueryState } = props;
+  const { MapContainer, TileLayer, CircleMarker, Popup, Tooltip } =
+    props.reactLeaflet;
+  const intl = useIntl();
+  const [map, setMap] = React.useState(null);
+
+  const data = currentQueryState.data || {};
+  const geoValue = currentQueryState.filters.find(
+    (filter) => filter[0] === GEO_AGG,
+  )?.[1];
+  const geoFilter = parseGeoFilter(geoValue);
+
+  const clusters = (
+    currentResultsState.data.aggregations?.[GEO_AGG]?.buckets || []
+  )
+    .map((bucket) => ({
+      key: bucket.key,
+      count: bucket.doc_count,
+      latLon: getLatLon(bucket.centroid?.location),
+    }))
+    .filter((cluster) => cluster.latLon);
+  const results = currentResultsState.data.hits
+    .map((result) => ({ result, latLon: getLatLon(result[data.geo_field]) }))
+    .filter((el) => el.latLon);
+  const bounds = getInitialBounds(
+    geoFilter,
+    clusters.map((cluster) => cluster.latLon),
+  );
+
+  const setGeoFilter = (value) => {
+    updateQueryState(
+      getQueryStateWithAggFilters(
+        currentQueryState,
+        GEO_AGG,
+        value ? [value] : [],
+      ),
+    );
+  };
+
+  const onSearchArea = () => {
+    const mapBounds = map.getBounds();
+    setGeoFilter(
+      formatBoundingBox({
+        top: mapBounds.getNorth(),
+        left: mapBounds.getWest(),
+        bottom: mapBounds.getSouth(),
+        right: mapBounds.getEast(),
+      }),
+    );
+  };
+
+  const onNearMe = () => {
+    navigator.geolocation.getCurrentPosition((position) =>
+      setGeoFilter(
+        formatDistance(position.coords.latitude, position.coords.longitude),
+      ),
+    );
+  };
+
+  return (
+    <div className="resultsmap">
+      <div className="resultsmap-actions">
+        <Button basic size="small" disabled={!map} onClick={onSearchArea}>
+          {intl.formatMessage(messages.searchThisArea)}
+        </Button>
+        {typeof navigator !== 'undefined' && navigator.geolocation ? (
+          <Button basic size="small" onClick={onNearMe}>
+            {intl.formatMessage(messages.nearMe)}
+          </Button>
+        ) : null}
+        {geoFilter ? (
+          <Button basic size="small" onClick={() => setGeoFilter(null)}>
+            {intl.formatMessage(messages.removeAreaFilter)}
+          </Button>
+        ) : null}
+      </div>
+      <MapContainer
+        ref={setMap}
+        {...(bounds
+          ? {
+              bounds: bounds,
+              boundsOptions: { padding: [20, 20], maxZoom: 12 },
+            }
+          : { center: [0, 0], zoom: 2 })}
+        scrollWheelZoom={false}
+      >
+        <TileLayer
+          url={data.map_tile_url || DEFAULT_TILE_URL}
+          attribution={data.map_attribution || DEFAULT_ATTRIBUTION}
+        />
+        {clusters.map((cluster) => (
+          <CircleMarker
+            key={cluster.key}
+            className="cluster"
+            center={cluster.latLon}
+            radius={10 + 4 * Math.log10(cluster.count)}
+            eventHandlers={{
+              click: () => map?.setView(cluster.latLon, map.getZoom() + 2),
+            }}
+          >
+            <Tooltip direction="center" permanent>
+              {cluster.count}
+            </Tooltip>
+          </CircleMarker>
+        ))}
+        {results.map(({ result, latLon }) => (
+          <CircleMarker
+            key={result['@id']}
+            className="result"
+            center={latLon}
+            radius={6}
+          >
+            <Popup>
+              <Link to={flattenESUrlToPath(result['@id'])}>{result.title}</Link>
+            </Popup>
+          </CircleMarker>
+        ))}
+      </MapContainer>
+    </div>
+  );
+};
+
+const ResultsMapWithLibs = injectLazyLibs(['reactLeaflet'])(_ResultsMap);
+
+// Leaflet needs the browser.
+const _ResultsMapOnClient = (props) => (
+  <NoSSR>
+    <ResultsMapWithLibs {...props} />
+  </NoSSR>
+);
+
+export const ResultsMap = withState(_ResultsMapOnClient);
+
+const _ResultsLayoutSwitcher = (props) => {
+  const { currentQueryState, updateQueryState } = props;
+  const intl = useIntl();
+
+  const onLayoutChange = (layout) => {
+    if (layout !== currentQueryState.layout) {
+      updateQueryState({
+        ...getQueryStateCopy(currentQueryState),
+        layout: layout,
+      });
+    }
+  };
+
+  return (
+    <Button.Group basic size="small" className="layoutswitcher">
+      <Button
+        active={currentQueryState.layout !== MAP_LAYOUT}
+        onClick={() => onLayoutChange('list')}
+      >
+        {intl.formatMessage(messages.list)}
+      </Button>
+      <Button
+        active={currentQueryState.layout === MAP_LAYOUT}
+        onClick={() => onLayoutChange(MAP_LAYOUT)}
+      >
+        {intl.formatMessage(messages.map)}
+      </Button>
+    </Button.Group>
+  );
+};
+
+export const ResultsLayoutSwitcher = withState(_ResultsLayoutSwitcher);
@@ -1,16 +1,20 @@
+import React from 'react';
 import { useIntl } from 'react-intl';
-import { Icon as IconSemantic } from 'semantic-ui-react';
-import { onQueryChanged, SearchBar, withState } from 'react-searchkit';
+import { Button, Checkbox, Icon as IconSemantic } from 'semantic-ui-react';
+import { onQueryChanged, withState } from 'react-searchkit';
 
 import messages from '../../messages';
+import { getDefaultSort, getQueryStateWithAggFilters } from '../helpers';
+import { AutocompleteSearchBar } from './AutocompleteSearchBar';
 
 const _SearchBarSection = (props) => {
   const intl = useIntl();
 
+  const { currentQueryState, updateQueryState, searchApi } = props;
+
   const payloadOfReset = {
     searchQuery: {
-      sortBy: 'bestmatch',
-      sortOrder: 'asc',
+      ...getDefaultSort(currentQueryState.data?.sort_options),
       layout: 'list',
       page: 1,
       size: 10,
@@ -22,19 +26,43 @@ const _SearchBarSection = (props) => {
     onQueryChanged(payloadOfReset);
   };
 
+  // Toggle restriction to current language
+  const isRestrictedToLanguage = currentQueryState.data?.restrict_to_language;
+  const allLanguages = currentQueryState.filters.some(
+    (filter) => filter[0] === 'language' && filter[1] === 'all',
+  );
+  const onToggleAllLanguages = () => {
+    updateQueryState(
+      getQueryStateWithAggFilters(
+        currentQueryState,
+        'language',
+        allLanguages ? [] : ['all'],
+      ),
+    );
+  };
+
+  // Toggle restriction to path of block
+  const canSearchWholeSite =
+    currentQueryState.data?.path?.length > 0 &&
+    currentQueryState.data?.allow_search_whole_site;
+  const wholeSite = currentQueryState.filters.some(
+    (filter) => filter[0] === 'scope' && filter[1] === 'site',
+  );
+  const onSelectScope = (site) => {
+    if (site !== wholeSite) {
+      updateQueryState(
+        getQueryStateWithAggFilters(
+          currentQueryState,
+          'scope',
+          site ? ['site'] : [],
+        ),
+      );
+    }
+  };
+
   return (
     <div className="searchbar-wrapper">
-      <SearchBar
-        placeholder={' '}
-        autofocus="false"
-        uiProps={{
-          icon: 'search',
-          iconPosition: 'left',
-        }}
-        actionProps={{
-          content: intl.formatMessage(messages.search),
-        }}
-      />
+      <AutocompleteSearchBar searchApi={searchApi} />
       <IconSemantic
         basic="true"
         icon="true"
@@ -44,6 +72,25 @@ const _SearchBarSection = (props) => {
         }
         onClick={(event) => onResetHandler(event)}
       />
+      {canSearchWholeSite ? (
+        <Button.Group basic size="small" className="searchscope">
+          <Button active={!wholeSite} onClick={() => onSelectScope(false)}>
+            {intl.formatMessage(messages.thisArea)}
+          </Button>
+          <Button active={wholeSite} onClick={() => onSelectScope(true)}>
+            {intl.formatMessage(messages.wholeSite)}
+          </Button>
+        </Button.Group>
+      ) : null}
+      {isRestrictedToLanguage ? (
+        <Checkbox
+          toggle
+          className="alllanguages"
+          label={intl.formatMessage(messages.allLanguages)}
+          checked={allLanguages}
+          onChange={onToggleAllLanguages}
+        />
+      ) : null}
     </div>
   );
 };
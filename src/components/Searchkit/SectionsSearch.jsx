@@ -63,8 +63,8 @@ const _SectionsSearch = (props) => {
   const restrictSearchToSection = (section) => {
     setActiveSection(section);
     let kitquerystate = {
-      sortBy: 'modified',
-      sortOrder: 'desc',
+      sortBy: currentQueryState.sortBy,
+      sortOrder: currentQueryState.sortOrder,
       layout: 'list',
       page: 1,
       size: 10,
@@ -0,0 +1,43 @@
+/**
+ * Promoted results ("best bets")
+ *
+ * Editors pin documents to keywords in the block, e.g. 'holidays' to the
+ * holiday calendar. Documents of keywords contained in the search string are
+ * shown above the results and excluded from the regular hits.
+ */
+
+import { uniqBy } from 'lodash';
+
+/**
+ * Lowercase words of a search string, separated by single spaces
+ * @param {string} text search string or keyword
+ * @returns {string} normalized text
+ */
+const normalize = (text) =>
+  (text || '')
+    .toLowerCase()
+    .replace(/["()+]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Promoted documents of a search string
+ * @param {string} queryString search string
+ * @param {Array} bestBets best bets configuration [{keywords, items}]
+ * @returns {Array} documents of matching keywords, without duplicates
+ */
+export const getBestBets = (queryString, bestBets) => {
+  const query = ` ${normalize(queryString)} `;
+  if (!query.trim()) {
+    return [];
+  }
+  const items = (bestBets || [])
+    .filter((bestBet) =>
+      (bestBet.keywords || []).some(
+        (keyword) =>
+          normalize(keyword) && query.includes(` ${normalize(keyword)} `),
+      ),
+    )
+    .flatMap((bestBet) => bestBet.items || []);
+  return uniqBy(items, '@id');
+};
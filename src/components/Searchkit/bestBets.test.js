@@ -0,0 +1,29 @@
+import { getBestBets } from './bestBets';
+
+const calendar = { '@id': '/holidays/calendar', title: 'Holiday calendar' };
+const faq = { '@id': '/faq', title: 'FAQ' };
+
+const bestBets = [
+  { keywords: ['Holidays', 'school holidays'], items: [calendar] },
+  { keywords: ['questions'], items: [faq, calendar] },
+];
+
+describe('getBestBets', () => {
+  it('finds documents of keywords contained in the search string', () => {
+    expect(getBestBets('holidays 2025', bestBets)).toEqual([calendar]);
+    expect(getBestBets('"School  Holidays"', bestBets)).toEqual([calendar]);
+  });
+
+  it('returns each document once', () => {
+    expect(getBestBets('questions holidays', bestBets)).toEqual([
+      calendar,
+      faq,
+    ]);
+  });
+
+  it('matches whole words only', () => {
+    expect(getBestBets('holiday', bestBets)).toEqual([]);
+    expect(getBestBets('-holidays', bestBets)).toEqual([]);
+    expect(getBestBets('', bestBets)).toEqual([]);
+  });
+});
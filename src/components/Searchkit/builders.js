@@ -0,0 +1,52 @@
+/**
+ * Registry of named builders of the ES request, selectable per block
+ *
+ * Add-ons register builders in `config.settings.searchkitblock`:
+ * - queryBuilders: {name: {title, builder}}, builder({queryString, stateQuery, serializer, defaultQuery}) returns the ES query
+ * - highlightBuilders: {name: {title, builder}}, builder({stateQuery, serializer, defaultHighlight}) returns the ES highlight
+ * - aggregationBuilders: {name: {title, builder}}, builder({fieldName, aggName, field, values, lookup, stateQuery, serializer, defaultAggregation})
+ *   returns the ES aggregations of a facet
+ * - postProcessors: {name: {title, processor}}, processor(body, {stateQuery, serializer}) returns the ES body
+ *
+ * The default builders of CustomESRequestSerializer are passed as default*,
+ * so builders can extend them. Post-processors are applied in the selected order.
+ */
+
+/**
+ * Registries of builders by block field
+ */
+export const BUILDER_REGISTRIES = {
+  query_builder: 'queryBuilders',
+  highlight_builder: 'highlightBuilders',
+  aggregation_builder: 'aggregationBuilders',
+  post_processors: 'postProcessors',
+};
+
+/**
+ * Choices of a registry for the block schema
+ * @param {Object} registry registered builders by name
+ * @returns {Array} choices [[name, title]]
+ */
+export const getBuilderChoices = (registry) =>
+  Object.entries(registry || {}).map(([name, entry]) => [
+    name,
+    entry.title || name,
+  ]);
+
+/**
+ * Builders selected in a block
+ * Unknown names are ignored, e.g. of uninstalled add-ons.
+ * @param {Object} data block data
+ * @param {Object} settings config.settings.searchkitblock
+ * @returns {Object} {query_builder, highlight_builder, aggregation_builder, post_processors}
+ */
+export const getBuilders = (data, settings) => ({
+  query_builder: settings?.queryBuilders?.[data.query_builder]?.builder,
+  highlight_builder:
+    settings?.highlightBuilders?.[data.highlight_builder]?.builder,
+  aggregation_builder:
+    settings?.aggregationBuilders?.[data.aggregation_builder]?.builder,
+  post_processors: (data.post_processors || [])
+    .map((name) => settings?.postProcessors?.[name]?.processor)
+    .filter((processor) => processor),
+});
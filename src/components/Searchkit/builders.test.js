@@ -0,0 +1,39 @@
+import { getBuilderChoices, getBuilders } from './builders';
+
+const exact = ({ queryString }) => ({ match_phrase: { title: queryString } });
+const addTimeout = (body) => ({ ...body, timeout: '2s' });
+const settings = {
+  queryBuilders: { exact: { title: 'Exact', builder: exact } },
+  postProcessors: {
+    timeout: { title: 'Timeout', processor: addTimeout },
+    profile: { processor: (body) => ({ ...body, profile: true }) },
+  },
+};
+
+describe('builders', () => {
+  it('lists registered builders as choices', () => {
+    expect(getBuilderChoices(settings.postProcessors)).toEqual([
+      ['timeout', 'Timeout'],
+      ['profile', 'profile'],
+    ]);
+    expect(getBuilderChoices(undefined)).toEqual([]);
+  });
+
+  it('resolves builders selected in block, ignoring unknown names', () => {
+    expect(
+      getBuilders(
+        {
+          query_builder: 'exact',
+          highlight_builder: 'removed',
+          post_processors: ['timeout', 'removed'],
+        },
+        settings,
+      ),
+    ).toEqual({
+      query_builder: exact,
+      highlight_builder: undefined,
+      aggregation_builder: undefined,
+      post_processors: [addTimeout],
+    });
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Fielded search like 'titel:climate' or 'typ:File'
+ *
+ * Field names typed by users are aliases, mapped to fields by the alias
+ * table of the block. Clauses on facet fields are required filters of the
+ * query. When the search string is submitted, they are moved from the search
+ * string to the filters and thus show up as selected options of the facet.
+ * See also QueryStringParser, CustomESRequestSerializer and AutocompleteSearchBar.
+ */
+
+import { NOT_PREFIX } from '../helpers';
+
+/**
+ * Fields by alias
+ * @param {Array} aliases alias table of block, Array of {alias, field}
+ * @returns {Object} field by lowercase alias
+ */
+export const getFieldAliases = (aliases) =>
+  Object.fromEntries(
+    (aliases || [])
+      .filter((item) => item.alias?.trim() && item.field?.trim())
+      .map((item) => [item.alias.trim().toLowerCase(), item.field.trim()]),
+  );
+
+/**
+ * Move fielded clauses on facet fields from search string to filters
+ * 'typ:File' selects, '-typ:File' and 'NOT typ:File' exclude option 'File'.
+ * @param {string} queryString search string
+ * @param {Object} aliases see getFieldAliases
+ * @param {Array} facetFields names of facet fields
+ * @returns {Object} {queryString, filters} remaining search string and filters
+ */
+export const extractFacetFilters = (queryString, aliases, facetFields) => {
+  let filters = [];
+  const remaining = (queryString || '').replace(
+    /(^|\s)(NOT\s+|[+-]?)([^\s:()"+-][^\s:()"]*):("[^"]*"|[^\s()"]+)/g,
+    (match, space, modifier, alias, value) => {
+      const field = aliases[alias.toLowerCase()];
+      if (!field || !facetFields.includes(field)) {
+        return match;
+      }
+      const option = value.replace(/^"|"$/g, '');
+      const isExcluded = modifier === '-' || modifier.startsWith('NOT');
+      filters.push([
+        `${field}_agg`,
+        isExcluded ? `${NOT_PREFIX}${option}` : option,
+      ]);
+      return space;
+    },
+  );
+  return { queryString: remaining.replace(/\s+/g, ' ').trim(), filters };
+};
@@ -0,0 +1,37 @@
+import { extractFacetFilters, getFieldAliases } from './fieldedSearch';
+
+const aliases = getFieldAliases([
+  { alias: 'Titel', field: 'title' },
+  { alias: 'typ', field: 'portal_type' },
+  { alias: 'incomplete' },
+]);
+
+describe('getFieldAliases', () => {
+  it('maps lowercase aliases to fields', () => {
+    expect(aliases).toEqual({ titel: 'title', typ: 'portal_type' });
+  });
+});
+
+describe('extractFacetFilters', () => {
+  it('moves clauses on facet fields to filters', () => {
+    expect(
+      extractFacetFilters(
+        'climate typ:File -typ:"News Item" titel:energy',
+        aliases,
+        ['portal_type'],
+      ),
+    ).toEqual({
+      queryString: 'climate titel:energy',
+      filters: [
+        ['portal_type_agg', 'File'],
+        ['portal_type_agg', '!News Item'],
+      ],
+    });
+  });
+
+  it('keeps unknown aliases in search string', () => {
+    expect(
+      extractFacetFilters('NOT typ:File foo:bar', aliases, ['review_state']),
+    ).toEqual({ queryString: 'NOT typ:File foo:bar', filters: [] });
+  });
+});
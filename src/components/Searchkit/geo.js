@@ -0,0 +1,112 @@
+/**
+ * Geo filter of located content
+ *
+ * The filter is stored as value of filter 'geo_agg' in the query state and
+ * thus in the URL:
+ * - bounding box 'bbox_top,left,bottom,right'
+ * - distance from point 'distance_lat,lon,distance', e.g. 'distance_47.37,8.54,10km'
+ * react-searchkit drops URL filters with values containing ':' or '+'.
+ */
+
+export const GEO_AGG = 'geo_agg';
+
+/**
+ * Default distance of a search near a point
+ */
+export const DEFAULT_GEO_DISTANCE = '10km';
+
+const round = (coordinate) => Math.round(coordinate * 1e5) / 1e5;
+
+/**
+ * Format a bounding box as filter value
+ * @param {Object} bbox {top, left, bottom, right}
+ * @returns {string} filter value
+ */
+export const formatBoundingBox = ({ top, left, bottom, right }) =>
+  `bbox_${[top, left, bottom, right].map(round).join(',')}`;
+
+/**
+ * Format a distance from a point as filter value
+ * @param {number} lat latitude of point
+ * @param {number} lon longitude of point
+ * @param {string} distance ES distance, e.g. '10km'
+ * @returns {string} filter value
+ */
+export const formatDistance = (lat, lon, distance = DEFAULT_GEO_DISTANCE) =>
+  `distance_${round(lat)},${round(lon)},${distance}`;
+
+/**
+ * Parse a filter value of the geo filter
+ * @param {string} value filter value
+ * @returns {Object} {type: 'bbox', top, left, bottom, right} or
+ *  {type: 'distance', lat, lon, distance}, null if value is invalid
+ */
+export const parseGeoFilter = (value) => {
+  const separator = (value || '').indexOf('_');
+  const type = separator > 0 ? value.slice(0, separator) : '';
+  const parts = type ? value.slice(separator + 1).split(',') : [];
+  if (type === 'bbox' && parts.length === 4) {
+    const [top, left, bottom, right] = parts.map(Number);
+    if ([top, left, bottom, right].some(isNaN)) {
+      return null;
+    }
+    return { type, top, left, bottom, right };
+  }
+  if (type === 'distance' && parts.length === 3) {
+    const [lat, lon] = parts.slice(0, 2).map(Number);
+    if (isNaN(lat) || isNaN(lon) || !parts[2]) {
+      return null;
+    }
+    return { type, lat, lon, distance: parts[2] };
+  }
+  return null;
+};
+
+/**
+ * ES query of a filter value of the geo filter
+ * @param {string} field geo_point field
+ * @param {string} value filter value
+ * @returns {Object} ES query, null if value is invalid
+ */
+export const getGeoQuery = (field, value) => {
+  const geoFilter = parseGeoFilter(value);
+  if (geoFilter?.type === 'bbox') {
+    const { top, left, bottom, right } = geoFilter;
+    return {
+      geo_bounding_box: {
+        [field]: {
+          top_left: { lat: top, lon: left },
+          bottom_right: { lat: bottom, lon: right },
+        },
+      },
+    };
+  }
+  if (geoFilter?.type === 'distance') {
+    const { lat, lon, distance } = geoFilter;
+    return {
+      geo_distance: {
+        distance: distance,
+        [field]: { lat, lon },
+      },
+    };
+  }
+  return null;
+};
+
+/**
+ * Latitude and longitude of a geo_point value
+ * @param {Object|string|Array} value {lat, lon}, 'lat,lon' or [lon, lat]
+ * @returns {Array} [lat, lon], null if value is no point
+ */
+export const getLatLon = (value) => {
+  let latLon = null;
+  if (Array.isArray(value) && value.length === 2) {
+    latLon = [value[1], value[0]];
+  } else if (typeof value === 'string' && value.includes(',')) {
+    latLon = value.split(',');
+  } else if (value && typeof value === 'object' && 'lat' in value) {
+    latLon = [value.lat, value.lon];
+  }
+  latLon = latLon?.map(Number);
+  return latLon && !latLon.some(isNaN) ? latLon : null;
+};
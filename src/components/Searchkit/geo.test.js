@@ -0,0 +1,85 @@
+import {
+  formatBoundingBox,
+  formatDistance,
+  GEO_AGG,
+  getGeoQuery,
+  getLatLon,
+  parseGeoFilter,
+} from './geo';
+
+// Filter of the URL parameter 'f' accepted by react-searchkit
+const URL_FILTER_REGEX = /^[^:+]*:[^:+]*(\+[^:+]*:[^:+]*)*$/;
+
+describe('geo filter', () => {
+  it('formats and parses bounding boxes', () => {
+    const value = formatBoundingBox({
+      top: 47.6,
+      left: 7.4123456,
+      bottom: 46.9,
+      right: 8.2,
+    });
+    expect(value).toEqual('bbox_47.6,7.41235,46.9,8.2');
+    expect(parseGeoFilter(value)).toEqual({
+      type: 'bbox',
+      top: 47.6,
+      left: 7.41235,
+      bottom: 46.9,
+      right: 8.2,
+    });
+  });
+
+  it('formats and parses distances from a point', () => {
+    const value = formatDistance(47.37, 8.54, '5km');
+    expect(value).toEqual('distance_47.37,8.54,5km');
+    expect(parseGeoFilter(value)).toEqual({
+      type: 'distance',
+      lat: 47.37,
+      lon: 8.54,
+      distance: '5km',
+    });
+  });
+
+  it('keeps values in the URL', () => {
+    [
+      formatBoundingBox({ top: 47.6, left: -7.4, bottom: -46.9, right: 8.2 }),
+      formatDistance(-47.37, 8.54),
+    ].forEach((value) => {
+      const urlFilter = `${GEO_AGG}:${value}`;
+      expect(urlFilter).toMatch(URL_FILTER_REGEX);
+      const [field, urlValue] = urlFilter.split(':');
+      expect(field).toEqual(GEO_AGG);
+      expect(urlValue).toEqual(value);
+      expect(parseGeoFilter(urlValue)).not.toBeNull();
+    });
+  });
+
+  it('ignores invalid values', () => {
+    expect(parseGeoFilter('bbox_1,2,3')).toBeNull();
+    expect(parseGeoFilter('bbox:1,2,3,4')).toBeNull();
+    expect(parseGeoFilter('bbox_a,2,3,4')).toBeNull();
+    expect(parseGeoFilter('distance_1,2,')).toBeNull();
+    expect(getGeoQuery('location', 'foo')).toBeNull();
+  });
+
+  it('builds ES queries', () => {
+    expect(getGeoQuery('location', 'bbox_47.6,7.4,46.9,8.2')).toEqual({
+      geo_bounding_box: {
+        location: {
+          top_left: { lat: 47.6, lon: 7.4 },
+          bottom_right: { lat: 46.9, lon: 8.2 },
+        },
+      },
+    });
+    expect(getGeoQuery('location', 'distance_47.37,8.54,10km')).toEqual({
+      geo_distance: { distance: '10km', location: { lat: 47.37, lon: 8.54 } },
+    });
+  });
+
+  it('reads geo points of all formats', () => {
+    expect(getLatLon({ lat: 47.37, lon: 8.54 })).toEqual([47.37, 8.54]);
+    expect(getLatLon('47.37,8.54')).toEqual([47.37, 8.54]);
+    expect(getLatLon([8.54, 47.37])).toEqual([47.37, 8.54]);
+    expect(getLatLon(null)).toBeNull();
+    expect(getLatLon('Zürich')).toBeNull();
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Range values of range facets
+ *
+ * A selected range is stored as filter value 'from..to' in the query state
+ * and thus in the URL. One of both limits can be empty.
+ * Date range facets know in addition some preset ranges like 'last7days'.
+ * Numeric range facets store numbers as limits.
+ */
+
+import { isEmpty } from 'lodash';
+
+export const RANGE_SEPARATOR = '..';
+
+/**
+ * Preset ranges of date range facets in ES date math
+ */
+export const DATE_RANGE_PRESETS = {
+  last7days: { from: 'now-7d/d' },
+  lastmonth: { from: 'now-1M/d' },
+  lastyear: { from: 'now-1y/d' },
+};
+
+/**
+ * Format a range as filter value
+ * @param {string} from lower limit, inclusive
+ * @param {string} to upper limit, inclusive
+ * @returns {string} filter value 'from..to'
+ */
+export const formatRange = (from, to) =>
+  `${from ?? ''}${RANGE_SEPARATOR}${to ?? ''}`;
+
+/**
+ * Parse a filter value of a range facet
+ * @param {string} value filter value 'from..to'
+ * @returns {Object} {from, to}, null if value is not a range
+ */
+export const parseRange = (value) => {
+  if (typeof value !== 'string' || !value.includes(RANGE_SEPARATOR)) {
+    return null;
+  }
+  const [from, to] = value.split(RANGE_SEPARATOR);
+  return { from: from || null, to: to || null };
+};
+
+/**
+ * ES range of a filter value of a date range facet
+ * Upper limit is rounded up to include the whole day.
+ * @param {string} value preset key or filter value 'from..to'
+ * @returns {Object} {gte, lte}, null for an unknown value
+ */
+export const getDateRange = (value) => {
+  const preset = DATE_RANGE_PRESETS[value];
+  if (preset) {
+    return { gte: preset.from };
+  }
+  const range = parseRange(value);
+  if (!range || (!range.from && !range.to)) {
+    return null;
+  }
+  let result = {};
+  if (range.from) {
+    result.gte = range.from;
+  }
+  if (range.to) {
+    result.lte = `${range.to}||/d`;
+  }
+  return result;
+};
+
+/**
+ * ES range of a filter value of a numeric range facet
+ * @param {string} value filter value 'from..to'
+ * @returns {Object} {gte, lte}, null for an invalid value
+ */
+export const getNumericRange = (value) => {
+  const range = parseRange(value);
+  if (!range) {
+    return null;
+  }
+  const from = parseFloat(range.from);
+  const to = parseFloat(range.to);
+  let result = {};
+  if (!isNaN(from)) {
+    result.gte = from;
+  }
+  if (!isNaN(to)) {
+    result.lte = to;
+  }
+  return isEmpty(result) ? null : result;
+};
@@ -0,0 +1,64 @@
+/**
+ * Recent searches of the user, suggested by the autocomplete of the search bar
+ *
+ * Search strings are kept in the local storage of the browser, not counted
+ * over all users. The most recent ones starting with the typed text are
+ * suggested first.
+ */
+
+const STORAGE_KEY = 'searchkitblock.recentsearches';
+
+/**
+ * Number of remembered search strings
+ */
+const MAX_RECENT_SEARCHES = 100;
+
+const load = () => {
+  try {
+    const searches = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(searches) ? searches : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+/**
+ * Remember a search string as most recent
+ * @param {string} queryString search string
+ */
+export const addRecentSearch = (queryString) => {
+  const query = (queryString || '').trim();
+  if (!query || typeof window === 'undefined') {
+    return;
+  }
+  const searches = [query]
+    .concat(
+      load().filter((search) => search.toLowerCase() !== query.toLowerCase()),
+    )
+    .slice(0, MAX_RECENT_SEARCHES);
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(searches));
+  } catch (e) {
+    // Storage is full or disabled.
+  }
+};
+
+/**
+ * Recent search strings starting with a text, most recent first
+ * @param {string} text typed text
+ * @param {number} size maximum number of search strings
+ * @returns {Array} search strings
+ */
+export const getRecentSearches = (text, size = 3) => {
+  const prefix = (text || '').trim().toLowerCase();
+  if (!prefix || typeof window === 'undefined') {
+    return [];
+  }
+  return load()
+    .filter(
+      (search) =>
+        search.toLowerCase().startsWith(prefix) &&
+        search.toLowerCase() !== prefix,
+    )
+    .slice(0, size);
+};
@@ -0,0 +1,74 @@
+/**
+ * Synonyms applied at query time
+ *
+ * Editors maintain groups of synonyms in the block, one group per entry,
+ * e.g. 'Velo, Fahrrad'. Each word of the search string with synonyms is
+ * searched also for its synonyms with lower boost.
+ */
+
+import { uniq } from 'lodash';
+import { parse } from './QueryStringParser';
+
+/**
+ * Boost of synonyms relative to the searched word
+ */
+export const SYNONYM_BOOST = 0.5;
+
+/**
+ * Dictionary of synonyms
+ * @param {Array} groups groups of synonyms, words separated by comma or '='
+ * @returns {Object} synonyms by lowercase word
+ */
+export const getSynonymsDictionary = (groups) => {
+  let dictionary = {};
+  (groups || []).forEach((group) => {
+    const words = group
+      .split(/[,=]/)
+      .map((word) => word.trim())
+      .filter((word) => word);
+    words.forEach((word) => {
+      const key = word.toLowerCase();
+      dictionary[key] = uniq([
+        ...(dictionary[key] || []),
+        ...words.filter((other) => other.toLowerCase() !== key),
+      ]);
+    });
+  });
+  return dictionary;
+};
+
+/**
+ * Synonyms of the words of a search string
+ * Excluded words, phrases, fielded clauses and words with wildcards are not expanded.
+ * @param {string} queryString search string
+ * @param {Object} dictionary see getSynonymsDictionary
+ * @returns {Array} synonyms
+ */
+export const getSynonymsOfQueryString = (queryString, dictionary) => {
+  let synonyms = [];
+  const collect = (node) => {
+    switch (node.type) {
+      case 'term':
+        if (!node.wildcard) {
+          synonyms = synonyms.concat(
+            dictionary[node.value.toLowerCase()] || [],
+          );
+        }
+        break;
+      case 'required':
+        collect(node.child);
+        break;
+      case 'not':
+      case 'phrase':
+      case 'field':
+        break;
+      default:
+        node.children.forEach(collect);
+    }
+  };
+  const ast = parse(queryString || '');
+  if (ast) {
+    collect(ast);
+  }
+  return uniq(synonyms);
+};
@@ -0,0 +1,34 @@
+import { getSynonymsDictionary, getSynonymsOfQueryString } from './synonyms';
+
+const dictionary = getSynonymsDictionary([
+  'Velo, Fahrrad',
+  'Fahrrad = Rad',
+  'ÖV, öffentlicher Verkehr',
+]);
+
+describe('getSynonymsDictionary', () => {
+  it('merges groups of synonyms by lowercase word', () => {
+    expect(dictionary).toEqual({
+      velo: ['Fahrrad'],
+      fahrrad: ['Velo', 'Rad'],
+      rad: ['Fahrrad'],
+      öv: ['öffentlicher Verkehr'],
+      'öffentlicher verkehr': ['ÖV'],
+    });
+  });
+});
+
+describe('getSynonymsOfQueryString', () => {
+  it('finds synonyms of searched words', () => {
+    expect(getSynonymsOfQueryString('velo +öv', dictionary)).toEqual([
+      'Fahrrad',
+      'öffentlicher Verkehr',
+    ]);
+  });
+
+  it('ignores excluded words, phrases and wildcards', () => {
+    expect(
+      getSynonymsOfQueryString('-velo "Fahrrad" rad* OR Parkplatz', dictionary),
+    ).toEqual([]);
+  });
+});
@@ -15,6 +15,7 @@ import {
   Grid,
   Header,
   Icon as IconSemantic,
+  Input,
   Item,
   Label,
   Pagination as Paginator,
@@ -30,7 +31,11 @@ import {
   Error as ErrorCp,
 } from 'react-searchkit';
 
-import { expandToBackendURL } from '@plone/volto/helpers';
+import {
+  expandToBackendURL,
+  flattenToAppURL,
+  langmap,
+} from '@plone/volto/helpers';
 import { Icon } from '@plone/volto/components';
 import leftAngle from '@plone/volto/icons/left-key.svg';
 import rightAngle from '@plone/volto/icons/right-key.svg';
@@ -39,14 +44,39 @@ import lastAngle from '@plone/volto/icons/last.svg';
 import clearSVG from '@plone/volto/icons/clear.svg';
 
 import messages from '../../messages';
-import { flattenESUrlToPath, getObjectFromObjectList } from '../helpers';
+import {
+  flattenESUrlToPath,
+  getChildAgg,
+  getDefaultSort,
+  getFacetsFromObjectList,
+  getObjectFromObjectList,
+  getQueryStateCopy,
+  getSortOptions,
+  getQueryStateWithFacetLookup,
+  isExcludedValue,
+  MISSING_VALUE,
+  NOT_PREFIX,
+} from '../helpers';
 
 import { PloneSearchApi } from '../Searchkit/ESSearchApi';
-import { CustomESRequestSerializer } from '../Searchkit/CustomESRequestSerializer';
+import {
+  CustomESRequestSerializer,
+  MAX_RESULT_WINDOW,
+  TRACK_TOTAL_HITS,
+} from '../Searchkit/CustomESRequestSerializer';
 import { CustomESResponseSerializer } from '../Searchkit/CustomESResponseSerializer';
 import { OnResults } from '../Searchkit/Results';
+import { DidYouMean } from '../Searchkit/DidYouMean';
+import { getBuilders } from '../Searchkit/builders';
+import { SimilarBanner, SimilarButton } from '../Searchkit/MoreLikeThis';
 import SectionsSearch from '../Searchkit/SectionsSearch';
 import SearchBarSection from '../Searchkit/SearchBarSection';
+import DateRangeFacet, {
+  DateRangeFacetElement,
+} from '../Searchkit/DateRangeFacet';
+import NumericRangeFacet, {
+  NumericRangeFacetElement,
+} from '../Searchkit/NumericRangeFacet';
 
 import { ElasticSearchHighlights } from '../Searchkit/ElasticSearchHighlights';
 import ErrorComponent from '../Searchkit/Error';
@@ -57,7 +87,7 @@ import './less/springisnow-volto-searchkit-block.less';
 import config from '@plone/volto/registry';
 
 // TODO Make reviewstatemapping configurable
-export const ploneSearchApi = (data) => {
+export const ploneSearchApi = (data, language) => {
   const cookies = new Cookies();
   const authToken = cookies.get('auth_token');
   return new PloneSearchApi({
@@ -77,10 +107,49 @@ export const ploneSearchApi = (data) => {
       responseSerializer: CustomESResponseSerializer,
     },
     searchedFields: data.searchedFields,
+    nested_paths: data.nested_paths,
+    synonyms: data.synonyms,
+    field_aliases: data.field_aliases,
+    suggest_field: data.suggest_field,
+    collapse_field: data.collapse_field,
+    geo_field: data.geo_field,
+    geohash_precision: data.geohash_precision,
+    ...getBuilders(data, config.settings.searchkitblock),
+    autocomplete_fields: data.autocomplete_fields,
+    popular_searches_index: data.popular_searches_index,
+    best_bets: data.best_bets?.map((bestBet) => ({
+      keywords: bestBet.keywords,
+      items: bestBet.items?.map((item) => ({
+        '@id': flattenToAppURL(item['@id']),
+      })),
+    })),
     facet_fields: data.facet_fields,
     allowed_content_types: data.allowed_content_types,
     allowed_review_states: data.allowed_review_states,
     search_sections: data.search_sections,
+    path: data.path?.length ? flattenToAppURL(data.path[0]['@id']) : null,
+    language: data.restrict_to_language ? language : null,
+    language_facet: data.language_facet,
+    highlight: {
+      fields: data.highlight_fields,
+      type: data.highlight_type,
+      number_of_fragments: data.highlight_number_of_fragments,
+      fragment_size: data.highlight_fragment_size,
+      pre_tags: data.highlight_pre_tags,
+      post_tags: data.highlight_post_tags,
+    },
+    ranking: {
+      decay_function: data.decay_function,
+      decay_field: data.decay_field,
+      decay_scale: data.decay_scale,
+      decay_offset: data.decay_offset,
+      decay_weight: data.decay_weight,
+    },
+    boosts: {
+      portal_type: data.type_boosts,
+      section: data.section_boosts,
+      review_state: data.review_state_boosts,
+    },
     backend_url: data.backend_url,
     frontend_url: data.frontend_url,
     elastic_search_api_url: data.elastic_search_api_url,
@@ -128,8 +197,7 @@ const _ExtraInfo = (props) => {
               let tito = translate(item, extrainfo_key);
               let payloadOfFilter = {
                 searchQuery: {
-                  sortBy: 'bestmatch',
-                  sortOrder: 'asc',
+                  ...getDefaultSort(props.currentQueryState.data?.sort_options),
                   layout: 'list',
                   page: 1,
                   size: 10,
@@ -179,8 +247,7 @@ const _ExtraInfo = (props) => {
             let tito = item;
             let payloadOfTag = {
               searchQuery: {
-                sortBy: 'bestmatch',
-                sortOrder: 'asc',
+                ...getDefaultSort(props.currentQueryState.data?.sort_options),
                 layout: 'list',
                 page: 1,
                 size: 10,
@@ -206,6 +273,36 @@ const _ExtraInfo = (props) => {
 
 const ExtraInfo = withState(_ExtraInfo);
 
+/**
+ * Related documents of a collapsed result, e.g. its translations
+ * Shown on click on "+N related items".
+ */
+const RelatedItems = ({ related }) => {
+  const intl = useIntl();
+  const [expanded, setExpanded] = React.useState(false);
+
+  if (!related?.length) {
+    return null;
+  }
+  return (
+    <div className="relateditems">
+      <button aria-expanded={expanded} onClick={() => setExpanded(!expanded)}>
+        {intl.formatMessage(messages.relatedItems, { count: related.length })}
+      </button>
+      {expanded ? (
+        <ul>
+          {related.map((item) => (
+            <li key={item['@id']}>
+              <Link to={flattenESUrlToPath(item['@id'])}>{item.title}</Link>
+              {item.language ? ` (${item.language})` : null}
+            </li>
+          ))}
+        </ul>
+      ) : null}
+    </div>
+  );
+};
+
 const _CustomResultsListItem = (props) => {
   const { result, index } = props;
   const backend_url = props.currentQueryState.data?.backend_url;
@@ -216,6 +313,11 @@ const _CustomResultsListItem = (props) => {
   const querystringindexes = useSelector(
     (state) => state.query?.data?.querystringindexes,
   );
+  const highlightFieldLabels = Object.fromEntries(
+    (props.currentQueryState.data?.highlight_fields || [])
+      .filter((el) => el.field && el.label)
+      .map((el) => [el.field, el.label]),
+  );
 
   const translate = (key) => {
     let label = key;
@@ -238,8 +340,7 @@ const _CustomResultsListItem = (props) => {
               let tito = translate(item);
               const payload = {
                 searchQuery: {
-                  sortBy: 'bestmatch',
-                  sortOrder: 'asc',
+                  ...getDefaultSort(props.currentQueryState.data?.sort_options),
                   layout: 'list',
                   page: 1,
                   size: 10,
@@ -287,7 +388,10 @@ const _CustomResultsListItem = (props) => {
         <ElasticSearchHighlights
           highlight={result.highlight}
           indexResult={index}
+          fieldLabels={highlightFieldLabels}
         />
+        <RelatedItems related={result.related} />
+        <SimilarButton result={result} />
       </Item.Content>
     </Item>
   );
@@ -299,6 +403,16 @@ const MyCountElement = ({ totalResults }) => {
   const intl = useIntl();
   let labelSearchResults = intl.formatMessage(messages.searchresult);
   let labelSearchResultsPlural = intl.formatMessage(messages.searchresults);
+  // Total is a lower bound
+  if (totalResults >= TRACK_TOTAL_HITS) {
+    return (
+      <div className="countlabel">
+        {intl.formatMessage(messages.moreThanResults, {
+          total: totalResults.toLocaleString(intl.locale),
+        })}
+      </div>
+    );
+  }
   return (
     <div className="countlabel">
       {totalResults}{' '}
@@ -328,17 +442,52 @@ const myActiveFiltersElement = (props) => {
   );
 };
 
+// Aggregation name and configuration of the facet rendered
+const FacetContext = React.createContext({});
+
 /**
  * CustomBucketAggregationElement
  * One single Filter of Faceted Navigation
  * props.agg.field: field name
  */
 const CustomBucketAggregationElement = (props) => {
-  const { title, containerCmp, updateQueryFilters } = props;
+  const {
+    title,
+    containerCmp,
+    updateQueryFilters,
+    currentQueryState,
+    updateQueryState,
+  } = props;
   const fieldname = props.agg.field;
+  const intl = useIntl();
+  const { aggName, facet } = React.useContext(FacetContext);
   const querystringindexes = useSelector(
     (state) => state.query?.data?.querystringindexes,
   );
+  const [searchText, setSearchText] = React.useState('');
+
+  // Look up values of large facets on server
+  React.useEffect(() => {
+    if (!facet?.large) {
+      return;
+    }
+    const lookup = (currentQueryState.hiddenParams || []).find(
+      (param) => param[0] === `${aggName}_lookup`,
+    );
+    if ((lookup?.[1] || '') === searchText.trim()) {
+      return;
+    }
+    const timeout = setTimeout(() => {
+      updateQueryState(
+        getQueryStateWithFacetLookup(
+          currentQueryState,
+          aggName,
+          searchText.trim(),
+        ),
+      );
+    }, 300);
+    return () => clearTimeout(timeout);
+  }, [searchText, facet, aggName, currentQueryState, updateQueryState]);
 
   /**
    * Translate labels according vocabulary
@@ -352,7 +501,17 @@ const CustomBucketAggregationElement = (props) => {
           querystringindexes[fieldname].values[element.key]?.title ||
           element.key;
       });
+    } else if (fieldname === 'language') {
+      bucks.forEach((element) => {
+        element.label = langmap[element.key]?.nativeName || element.key;
+      });
     }
+    // Option for documents without value
+    bucks.forEach((element) => {
+      if (element.key === MISSING_VALUE) {
+        element.label = intl.formatMessage(messages.notSpecified);
+      }
+    });
     return bucks;
   };
 
@@ -365,10 +524,30 @@ const CustomBucketAggregationElement = (props) => {
   // List of labels of selected options
   let selectedFilters = containerCmp.props.selectedFilters
     .map((el) => el[1])
-    .map((token) => filter_labels_dict[token]);
+    .map((token) =>
+      isExcludedValue(token)
+        ? filter_labels_dict[token.slice(NOT_PREFIX.length)]
+        : filter_labels_dict[token],
+    );
   selectedFilters = compact(selectedFilters);
+
+  // Options matching the filter text, also by their children
+  const text = searchText.trim().toLowerCase();
+  const childAgg = getChildAgg(fieldname, facet);
+  const matchesSearchText = (bucket) =>
+    [bucket.label, bucket.key].some((value) =>
+      `${value}`.toLowerCase().includes(text),
+    ) ||
+    (childAgg && bucket[childAgg.aggName]?.buckets.some(matchesSearchText));
+  if (text) {
+    buckets = buckets.filter(matchesSearchText);
+  }
+  const filteredContainerCmp = text
+    ? React.cloneElement(containerCmp, { buckets: buckets })
+    : containerCmp;
+
   // List of all available options
-  let all_filters = containerCmp.props.buckets.map((el) => {
+  let all_filters = buckets.map((el) => {
     return [containerCmp.props.aggName, el.key];
   });
 
@@ -407,6 +586,16 @@ const CustomBucketAggregationElement = (props) => {
         })}
       >
         <Dropdown.Menu>
+          <Input
+            icon="search"
+            iconPosition="left"
+            className="search"
+            placeholder={intl.formatMessage(messages.filterOptions)}
+            value={searchText}
+            onChange={(event, { value }) => setSearchText(value)}
+            onClick={(event) => event.stopPropagation()}
+            onKeyDown={(event) => event.stopPropagation()}
+          />
           <Dropdown.Item>
             <span
               onClick={(e) => selectAllAggFilters(e)}
@@ -434,7 +623,7 @@ const CustomBucketAggregationElement = (props) => {
               />
             </span>
           </Dropdown.Item>
-          {containerCmp}
+          {filteredContainerCmp}
         </Dropdown.Menu>
       </Dropdown>
       {/* <IconSemantic
@@ -460,10 +649,59 @@ function choicesSorter(a, b) {
   }
   return 0;
 }
+/**
+ * Sort options in order of vocabulary, unknown options by label
+ * @param {Object} vocabulary values of querystring index
+ */
+function vocabularySorter(vocabulary) {
+  const tokens = Object.keys(vocabulary || {});
+  const position = (cmp) => {
+    const index = tokens.indexOf(cmp.props.bucket.key);
+    return index < 0 ? tokens.length : index;
+  };
+  return (a, b) => position(a) - position(b) || choicesSorter(a, b);
+}
+
 const CustomBucketAggregationContainerElement = ({ valuesCmp }) => {
+  const intl = useIntl();
+  const { facet } = React.useContext(FacetContext);
+  const querystringindexes = useSelector(
+    (state) => state.query?.data?.querystringindexes,
+  );
+  const [showAll, setShowAll] = React.useState(false);
+
   let foo = valuesCmp;
-  foo.sort(choicesSorter);
-  return <>{foo}</>;
+  // Orders 'count' and 'key' are applied by ES
+  const order = facet?.order || 'label';
+  if (order === 'label') {
+    foo.sort(choicesSorter);
+  } else if (order === 'vocabulary') {
+    foo.sort(vocabularySorter(querystringindexes?.[facet.field.value]?.values));
+  }
+
+  // Selected options are always shown
+  const visible = Number(facet?.visible);
+  const hasMore = visible > 0 && foo.length > visible;
+  if (hasMore && !showAll) {
+    foo = foo.filter((cmp, index) => index < visible || cmp.props.isSelected);
+  }
+
+  const onToggleShowAll = (event) => {
+    setShowAll(!showAll);
+    event.preventDefault();
+    event.stopPropagation();
+  };
+
+  return (
+    <>
+      {foo}
+      {hasMore ? (
+        <Dropdown.Item className="showMore" onClick={onToggleShowAll}>
+          {intl.formatMessage(showAll ? messages.showLess : messages.showMore)}
+        </Dropdown.Item>
+      ) : null}
+    </>
+  );
 };
 
 const CustomBucketAggregationValuesElement = (props) => {
@@ -474,38 +712,96 @@ const CustomBucketAggregationValuesElement = (props) => {
     onFilterClicked,
     childAggCmps,
     // updateQueryState,
-    // currentQueryState,
+    currentQueryState,
   } = props;
+  const intl = useIntl();
+  const { aggName, facet } = React.useContext(FacetContext);
   const label = bucket.label
     ? `${bucket.label} (${bucket.doc_count})`
     : `${keyField} (${bucket.doc_count})`;
 
+  // Children of hierarchical facets as expandable tree
+  const hasChildren = childAggCmps?.props.buckets?.length > 0;
+  const [expanded, setExpanded] = React.useState(
+    isSelected || childAggCmps?.props.selectedFilters?.length > 0,
+  );
+  const onToggle = (event) => {
+    setExpanded(!expanded);
+    event.preventDefault();
+    event.stopPropagation();
+  };
+
+  // Options of terms facets can be excluded
+  const canExclude = aggName && (facet?.type ?? 'terms') === 'terms';
+  const excludedValue = `${NOT_PREFIX}${bucket.key}`;
+  const isExcluded =
+    canExclude &&
+    currentQueryState.filters.some(
+      (filter) => filter[0] === aggName && filter[1] === excludedValue,
+    );
+
   const onFilterClickedCustom = (filter, event) => {
-    onFilterClicked(filter);
+    onFilterClicked(isExcluded ? excludedValue : filter);
+
+    event.preventDefault();
+    event.stopPropagation();
+  };
+
+  const onExclude = (event) => {
+    if (isSelected) {
+      onFilterClicked(bucket.key);
+    }
+    onFilterClicked(excludedValue);
 
     event.preventDefault();
     event.stopPropagation();
   };
 
   return (
-    <Dropdown.Item key={bucket.key}>
-      {isSelected ? (
+    <Dropdown.Item
+      key={bucket.key}
+      className={cx({ hasChildren: hasChildren, expanded: expanded })}
+    >
+      {isSelected || isExcluded ? (
         <Item
           onClick={(event) => onFilterClickedCustom(bucket.key, event)}
-          className={isSelected ? 'isSelected right floated' : 'right floated'}
+          className="isSelected right floated"
           key={`${bucket.key}-description`}
         >
           <Icon name={clearSVG} size="15px" />
         </Item>
       ) : null}
+      {canExclude && !isExcluded ? (
+        <button
+          className="excludeOption right floated"
+          onClick={onExclude}
+          title={intl.formatMessage(messages.exclude)}
+        >
+          <IconSemantic name="minus circle" />
+        </button>
+      ) : null}
+      {hasChildren ? (
+        <button
+          className="toggleChildren"
+          onClick={onToggle}
+          aria-expanded={expanded}
+          title={intl.formatMessage(
+            expanded ? messages.collapse : messages.expand,
+          )}
+        >
+          <IconSemantic name={expanded ? 'caret down' : 'caret right'} />
+        </button>
+      ) : null}
       <Item
         onClick={(event) => onFilterClickedCustom(bucket.key, event)}
-        className={isSelected ? 'isSelected' : ''}
+        className={cx({ isSelected: isSelected, isExcluded: isExcluded })}
         key={bucket.key}
       >
         {label}
       </Item>
-      {childAggCmps}
+      {hasChildren && expanded ? (
+        <div className="childAggs">{childAggCmps}</div>
+      ) : null}
     </Dropdown.Item>
   );
 };
@@ -540,34 +836,42 @@ const customSort = ({
       <span className="sort-by">
         <FormattedMessage id="Sort By:" defaultMessage="Sort by:" />
       </span>{' '}
-      <Button
-        as={Link}
-        to="#"
-        onClick={(e) => onValueChange('bestmatch-asc')}
-        name="bestmatch-asc"
-        className={cx('button-sort', {
-          'button-active': selected === 'bestmatch-asc',
-        })}
-      >
-        <FormattedMessage id="Relevance" defaultMessage="Relevance" />
-      </Button>
-      <Button
-        onClick={(e) => onValueChange('modified-desc')}
-        name="modified-desc"
-        className={cx('button-sort', {
-          'button-active': selected === 'modified-desc',
-        })}
-      >
-        <FormattedMessage id="Date" defaultMessage="Date" />
-      </Button>
+      {options.map((option) => (
+        <Button
+          key={option.value}
+          onClick={(e) => onValueChange(option.value)}
+          name={option.value}
+          className={cx('button-sort', {
+            'button-active': selected === option.value,
+          })}
+        >
+          {option.text}
+        </Button>
+      ))}
     </div>
   );
 };
 
-const customPaginationElement = (props) => {
-  const { currentPage, currentSize, totalResults, onPageChange, options} =
-      props;
-  const pages = Math.ceil(totalResults / currentSize);
+const _customPaginationElement = (props) => {
+  const {
+    currentPage,
+    currentSize,
+    totalResults,
+    onPageChange,
+    options,
+    currentQueryState,
+    currentResultsState,
+    updateQueryState,
+  } = props;
+  // Pages beyond the result window are reachable one by one with search_after.
+  // Collapsed results are paged within the result window only.
+  const windowPages = Math.floor(MAX_RESULT_WINDOW / currentSize);
+  const pages = Math.min(
+    Math.ceil(totalResults / currentSize),
+    currentQueryState.data?.collapse_field
+      ? windowPages
+      : Math.max(windowPages, currentPage + 1),
+  );
   const boundaryRangeCount = options.boundaryRangeCount;
   const siblingRangeCount = options.siblingRangeCount;
   const showEllipsis = options.showEllipsis;
@@ -577,7 +881,26 @@ const customPaginationElement = (props) => {
   const showNext = options.showNext;
   const size = options.size || 'massive';
   const _onPageChange = (event, { activePage }) => {
-    onPageChange(activePage);
+    if (activePage <= windowPages) {
+      onPageChange(activePage);
+    } else if (activePage === currentPage + 1) {
+      const hits = currentResultsState.data.hits;
+      updateQueryState({
+        ...getQueryStateCopy(currentQueryState),
+        page: activePage,
+        hiddenParams: (currentQueryState.hiddenParams || [])
+          .filter((param) => param[0] !== 'search_after')
+          .concat([
+            [
+              'search_after',
+              String(activePage),
+              JSON.stringify(hits[hits.length - 1]?._sort),
+            ],
+          ]),
+      });
+    } else {
+      onPageChange(windowPages);
+    }
   };
 
   return pages > 1 ? (
@@ -632,29 +955,37 @@ const customPaginationElement = (props) => {
   ) : null;
 };
 
-const sortValues = [
-  {
-    text: 'Relevanz',
-    sortBy: 'bestmatch',
-    sortOrder: 'asc',
-  },
-  {
-    text: 'Neueste',
-    sortBy: 'modified',
-    sortOrder: 'desc',
-  },
-  // {
-  //   text: 'Alphabetisch',
-  //   sortBy: 'sortable_title.keyword',
-  //   sortOrder: 'asc',
-  // },
-];
+const customPaginationElement = withState(_customPaginationElement);
+
+/**
+ * Labels of sort options without label, by field
+ */
+const sortLabels = {
+  bestmatch: messages.relevance,
+  'sortable_title.keyword': messages.sortableTitle,
+  effective: messages.effective,
+  modified: messages.modified,
+  created: messages.created,
+};
+
+/**
+ * Sort values for react-searchkit Sort from sort options of block
+ * @param {Array} sortOptions sort options of block [{label, field, order, default}]
+ * @param {Object} intl
+ * @returns {Array} [{text, sortBy, sortOrder}]
+ */
+const getSortValues = (sortOptions, intl) =>
+  getSortOptions(sortOptions).map((option) => ({
+    text:
+      option.label ||
+      (sortLabels[option.field]
+        ? intl.formatMessage(sortLabels[option.field])
+        : option.field),
+    sortBy: option.field,
+    sortOrder: option.order || 'asc',
+  }));
 
 const initialState = {
-  sortBy: 'bestmatch',
-  sortOrder: 'asc',
-  // sortBy: 'modified',
-  // sortOrder: 'desc',
   queryString: '',
   layout: 'list',
   page: 1,
@@ -669,16 +1000,24 @@ const defaultOverriddenComponents = {
   'Sort.element.volto': customSort,
   'Pagination.element': customPaginationElement,
   'Error.element': ErrorComponent,
+  'DateRangeFacet.element': DateRangeFacetElement,
+  'NumericRangeFacet.element': NumericRangeFacetElement,
 };
 
 const dropdownOverriddenComponents = {
-  'BucketAggregation.element': CustomBucketAggregationElement,
+  'BucketAggregation.element': withState(CustomBucketAggregationElement),
   'BucketAggregationContainer.element': CustomBucketAggregationContainerElement,
   'BucketAggregationValues.element': withState(
     CustomBucketAggregationValuesElement,
   ),
 };
 
+// Facet components by facet type. Default is BucketAggregation.
+const facetComponents = {
+  daterange: DateRangeFacet,
+  numericrange: NumericRangeFacet,
+};
+
 /**
  * FacetedSearch
  * @param {string} filterLayout default 'dropdown'
@@ -696,7 +1035,15 @@ const FacetedSearch = ({ data, overriddenComponents }) => {
   } = data;
 
   const querystringindexes = useSelector((state) => state.querystring?.indexes);
+  const currentLanguage = useSelector((state) => state.intl?.locale);
+  const intl = useIntl();
 
+  const facets = getFacetsFromObjectList(facet_fields);
+  const sortValues = getSortValues(data.sort_options, intl);
+  const searchApi = React.useMemo(
+    () => ploneSearchApi(data, currentLanguage),
+    [data, currentLanguage],
+  );
   let facet_fields_object = getObjectFromObjectList(facet_fields);
   if ('Subject' in facet_fields_object) {
     facet_fields_object.subjects = facet_fields_object.Subject;
@@ -719,10 +1066,11 @@ const FacetedSearch = ({ data, overriddenComponents }) => {
       {isClient && (
         <OverridableContext.Provider value={overriddenComponents}>
           <ReactSearchKit
-            searchApi={ploneSearchApi(data)}
+            searchApi={searchApi}
             eventListenerEnabled={true}
             initialQueryState={{
               ...initialState,
+              ...getDefaultSort(data.sort_options),
               data: { ...data, querystringindexes: querystringindexes },
             }}
             urlHandlerApi={{ enabled: true }}
@@ -736,13 +1084,13 @@ const FacetedSearch = ({ data, overriddenComponents }) => {
                     document.querySelectorAll(relocation)[0]
                   }
                 >
-                  <SearchBarSection />
+                  <SearchBarSection searchApi={searchApi} />
                 </Portal>
               ) : (
                 <Grid relaxed style={{ padding: '1em 0' }}>
                   <Grid.Row>
                     <Grid.Column width={12}>
-                      <SearchBarSection />
+                      <SearchBarSection searchApi={searchApi} />
                     </Grid.Column>
                   </Grid.Row>
                 </Grid>
@@ -765,21 +1113,61 @@ const FacetedSearch = ({ data, overriddenComponents }) => {
                 <Grid.Row className={'facetedsearch_filter ' + filterLayout}>
                   <Grid.Column width={12}>
                     <div className="bucketaggregations">
-                      {Object.keys(facet_fields_object)?.map((facet) => (
-                        <BucketAggregation
-                          key={facet}
-                          title={facet_fields_object[facet]}
-                          agg={{
-                            field: facet,
-                            aggName: `${facet}_agg`,
-                          }}
-                        />
-                      ))}
+                      {Object.keys(facet_fields_object)?.map((facet) => {
+                        const FacetComponent =
+                          facetComponents[facets[facet]?.type];
+                        const facetContext = {
+                          aggName: `${facet}_agg`,
+                          facet: facets[facet],
+                        };
+                        return FacetComponent ? (
+                          <FacetComponent
+                            key={facet}
+                            title={facet_fields_object[facet]}
+                            agg={{
+                              field: facet,
+                              aggName: `${facet}_agg`,
+                            }}
+                            facet={facets[facet]}
+                          />
+                        ) : (
+                          <FacetContext.Provider
+                            key={facet}
+                            value={facetContext}
+                          >
+                            <BucketAggregation
+                              title={facet_fields_object[facet]}
+                              agg={{
+                                field: facet,
+                                aggName: `${facet}_agg`,
+                                ...(getChildAgg(facet, facets[facet]) && {
+                                  childAgg: getChildAgg(facet, facets[facet]),
+                                }),
+                              }}
+                            />
+                          </FacetContext.Provider>
+                        );
+                      })}
+                      {data.language_facet ? (
+                        <FacetContext.Provider
+                          value={{ aggName: 'language_agg' }}
+                        >
+                          <BucketAggregation
+                            title={intl.formatMessage(messages.language)}
+                            agg={{
+                              field: 'language',
+                              aggName: 'language_agg',
+                            }}
+                          />
+                        </FacetContext.Provider>
+                      ) : null}
                     </div>
                   </Grid.Column>
                 </Grid.Row>
                 <Grid.Row>
                   <Grid.Column width={12}>
+                    <SimilarBanner />
+                    <DidYouMean searchApi={searchApi} />
                     <ResultsLoader>
                       <ErrorCp />
                       <EmptyResults />
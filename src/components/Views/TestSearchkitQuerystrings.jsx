@@ -18,9 +18,20 @@ import {
 } from 'react-searchkit';
 import { flattenESUrlToPath } from '../helpers';
 import { ploneSearchApi } from './FacetedSearch';
-import { ElasticSearchMatches } from '../Searchkit/ElasticSearchHighlights';
+import {
+  ElasticSearchMatches,
+  getMatches,
+} from '../Searchkit/ElasticSearchHighlights';
 import messages from '../../messages';
 
+/**
+ * Highlight tags as in block data, requested and looked for in the highlights alike
+ */
+const highlightTags = {
+  highlight_pre_tags: '<em>',
+  highlight_post_tags: '</em>',
+};
+
 const sort_caseinsensitive = (a, b) => {
   var nameA = a.toUpperCase(); // Groß-/Kleinschreibung ignorieren
   var nameB = b.toUpperCase(); // Groß-/Kleinschreibung ignorieren
@@ -38,22 +49,14 @@ const _OnHighlights = (props) => {
   let highlights = props.currentResultsState;
   let hits = highlights.data.hits;
 
-  const regex = /<em>(.*?)<\/em>/gm;
-  let fragments = [];
-  hits.map((hit) => {
-    hit.highlight = hit.highlight || [];
-    Object.keys(hit.highlight).forEach((fld) => {
-      hit.highlight[fld].forEach((highlightfragment) => {
-        fragments.push(highlightfragment);
-      });
-    });
-    return null;
-  });
   let matches = new Set();
-  fragments.forEach((txt) => {
-    let result = [...txt.matchAll(regex)];
-    result.forEach((match) => {
-      matches.add(match[1]);
+  hits.forEach((hit) => {
+    getMatches(
+      hit.highlight,
+      highlightTags.highlight_pre_tags,
+      highlightTags.highlight_post_tags,
+    ).forEach((match) => {
+      matches.add(match);
     });
   });
   let matches_sorted = Array.from(matches);
@@ -87,7 +90,12 @@ const CustomResultsListItem = ({ result, index }) => {
           {result.title}
         </Link>
       </Header>
-      <ElasticSearchMatches highlight={result.highlight} indexResult={index} />
+      <ElasticSearchMatches
+        highlight={result.highlight}
+        indexResult={index}
+        preTag={highlightTags.highlight_pre_tags}
+        postTag={highlightTags.highlight_post_tags}
+      />
     </div>
   );
 };
@@ -116,6 +124,7 @@ const TestSearchkitQuerystrings = (props) => {
 
         searchedFields: [],
         facet_fields: [],
+        ...highlightTags,
         allowed_content_types:
           searchkitblock_controlpanel?.allowed_content_types,
         allowed_review_states:
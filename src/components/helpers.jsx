@@ -53,4 +53,154 @@ function getObjectFromObjectList(objlst) {
   return obj;
 }
 
-export { NoSSR, flattenESUrlToPath, scrollToTarget, getObjectFromObjectList };
+/**
+ * @param {Array} objlst array of facet configurations
+ * @returns Object with fieldname as key and facet configuration as value
+ */
+function getFacetsFromObjectList(objlst) {
+  let obj = {};
+  if (!objlst) {
+    return {};
+  }
+  objlst.forEach((listitem) => {
+    if (listitem.field) {
+      obj[listitem.field.value] = {
+        ...listitem,
+        type: listitem.type || 'terms',
+      };
+    }
+  });
+  return obj;
+}
+
+/**
+ * Prefix of excluded options of a facet in the query state, e.g. '!News Item'
+ */
+const NOT_PREFIX = '!';
+
+/**
+ * Option of a facet for documents without value
+ */
+const MISSING_VALUE = '__missing__';
+
+/**
+ * @param {string} value filter value
+ * @returns {boolean} true if value is an excluded option
+ */
+function isExcludedValue(value) {
+  return typeof value === 'string' && value.startsWith(NOT_PREFIX);
+}
+
+/**
+ * Child aggregation of a hierarchical facet
+ * The child field defaults to the facet field for path-based taxonomies.
+ * @param {string} fieldName name of facet field
+ * @param {Object} facet facet configuration
+ * @returns {Object} {field, aggName}, null if facet is not hierarchical
+ */
+function getChildAgg(fieldName, facet) {
+  if (facet?.type !== 'hierarchical') {
+    return null;
+  }
+  return {
+    field: facet.child_field?.value || fieldName,
+    aggName: `${fieldName}_child_agg`,
+  };
+}
+
+/**
+ * Sort options if none are configured in the block
+ */
+const DEFAULT_SORT_OPTIONS = [
+  { field: 'bestmatch', order: 'asc', default: true },
+  { field: 'modified', order: 'desc' },
+];
+
+/**
+ * @param {Array} sortOptions sort options of block [{label, field, order, default}]
+ * @returns {Array} sort options, defaults if none are configured
+ */
+function getSortOptions(sortOptions) {
+  return sortOptions?.length ? sortOptions : DEFAULT_SORT_OPTIONS;
+}
+
+/**
+ * @param {Array} sortOptions sort options of block
+ * @returns {Object} {sortBy, sortOrder} of default option, else of first option
+ */
+function getDefaultSort(sortOptions) {
+  const options = getSortOptions(sortOptions);
+  const option = options.find((el) => el.default) || options[0];
+  return { sortBy: option.field, sortOrder: option.order || 'asc' };
+}
+
+/**
+ * Copy of query state
+ * react-searchkit `updateQueryState` resets all keys of the query state that are not passed.
+ * @param {Object} queryState current query state
+ * @returns {Object} query state to pass to `updateQueryState`
+ */
+function getQueryStateCopy(queryState) {
+  return {
+    queryString: queryState.queryString,
+    sortBy: queryState.sortBy,
+    sortOrder: queryState.sortOrder,
+    layout: queryState.layout,
+    size: queryState.size,
+    page: queryState.page,
+    filters: queryState.filters,
+    hiddenParams: queryState.hiddenParams,
+  };
+}
+
+/**
+ * Query state with replaced filters of one aggregation
+ * @param {Object} queryState current query state
+ * @param {string} aggName name of aggregation
+ * @param {Array} values new selected values of aggregation
+ * @returns {Object} query state to pass to `updateQueryState`
+ */
+function getQueryStateWithAggFilters(queryState, aggName, values) {
+  return {
+    ...getQueryStateCopy(queryState),
+    page: 1,
+    filters: queryState.filters
+      .filter((filter) => filter[0] !== aggName)
+      .concat(values.map((value) => [aggName, value])),
+  };
+}
+
+/**
+ * Query state with server-side lookup of values of a facet
+ * The lookup is a hidden parameter `[aggName_lookup, text]`, not shown in URL.
+ * @param {Object} queryState current query state
+ * @param {string} aggName name of aggregation
+ * @param {string} text looked up text, empty to reset
+ * @returns {Object} query state to pass to `updateQueryState`
+ */
+function getQueryStateWithFacetLookup(queryState, aggName, text) {
+  const key = `${aggName}_lookup`;
+  return {
+    ...getQueryStateCopy(queryState),
+    hiddenParams: (queryState.hiddenParams || [])
+      .filter((param) => param[0] !== key)
+      .concat(text ? [[key, text]] : []),
+  };
+}
+
+export {
+  NoSSR,
+  flattenESUrlToPath,
+  scrollToTarget,
+  getObjectFromObjectList,
+  getFacetsFromObjectList,
+  getChildAgg,
+  getSortOptions,
+  getDefaultSort,
+  NOT_PREFIX,
+  MISSING_VALUE,
+  isExcludedValue,
+  getQueryStateCopy,
+  getQueryStateWithAggFilters,
+  getQueryStateWithFacetLookup,
+};
@@ -0,0 +1,53 @@
+import { getDefaultSort, getSortOptions } from './helpers';
+
+describe('getSortOptions', () => {
+  it('sorts by relevance and date if no options are configured', () => {
+    [undefined, null, []].forEach((sortOptions) => {
+      expect(getSortOptions(sortOptions)).toEqual([
+        { field: 'bestmatch', order: 'asc', default: true },
+        { field: 'modified', order: 'desc' },
+      ]);
+    });
+  });
+
+  it('keeps the configured options and their order', () => {
+    const sortOptions = [
+      { label: 'Title', field: 'sortable_title', order: 'asc' },
+      { label: 'Relevance', field: 'bestmatch' },
+    ];
+    expect(getSortOptions(sortOptions)).toEqual(sortOptions);
+  });
+});
+
+describe('getDefaultSort', () => {
+  it('sorts by relevance if no options are configured', () => {
+    expect(getDefaultSort(undefined)).toEqual({
+      sortBy: 'bestmatch',
+      sortOrder: 'asc',
+    });
+  });
+
+  it('sorts by the default option', () => {
+    expect(
+      getDefaultSort([
+        { field: 'bestmatch' },
+        { field: 'effective', order: 'desc', default: true },
+      ]),
+    ).toEqual({ sortBy: 'effective', sortOrder: 'desc' });
+  });
+
+  it('falls back to the first option', () => {
+    expect(
+      getDefaultSort([
+        { field: 'sortable_title' },
+        { field: 'bestmatch', order: 'asc' },
+      ]),
+    ).toEqual({ sortBy: 'sortable_title', sortOrder: 'asc' });
+    expect(
+      getDefaultSort([
+        { field: 'modified', order: 'desc' },
+        { field: 'bestmatch' },
+      ]),
+    ).toEqual({ sortBy: 'modified', sortOrder: 'desc' });
+  });
+});
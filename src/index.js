@@ -1,3 +1,4 @@
+import loadable from '@loadable/component';
 import zoomSVG from '@plone/volto/icons/zoom.svg';
 import { getQuerystring } from '@plone/volto/actions';
 
@@ -16,6 +17,17 @@ import SearchSectionsWidget from './components/Blocks/SearchSectionsWidget';
 const applyConfig = (config) => {
   config.settings.searchkitblock = {
     trackVoltoMatomo: false,
+    // Builders of the ES request, selectable per block. See components/Searchkit/builders.js
+    queryBuilders: {},
+    highlightBuilders: {},
+    aggregationBuilders: {},
+    postProcessors: {},
+  };
+
+  // Map layout of results
+  config.settings.loadables = {
+    ...config.settings.loadables,
+    reactLeaflet: loadable.lib(() => import('react-leaflet')),
   };
 
   config.blocks.blocksConfig.searchkitblock = {
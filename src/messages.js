@@ -30,6 +30,120 @@ const messages = defineMessages({
     id: 'Field',
     defaultMessage: 'Field',
   },
+  facetType: {
+    id: 'Facet type',
+    defaultMessage: 'Facet type',
+  },
+  operator: {
+    id: 'Operator',
+    defaultMessage: 'Operator',
+  },
+  bestBets: {
+    id: 'Recommended',
+    defaultMessage: 'Recommended',
+  },
+  didYouMean: {
+    id: 'Did you mean:',
+    defaultMessage: 'Did you mean:',
+  },
+  alsoSearchedFor: {
+    id: 'Also searched for: {synonyms}',
+    defaultMessage: 'Also searched for: {synonyms}',
+  },
+  // map
+  list: {
+    id: 'List',
+    defaultMessage: 'List',
+  },
+  map: {
+    id: 'Map',
+    defaultMessage: 'Map',
+  },
+  searchThisArea: {
+    id: 'Search this area',
+    defaultMessage: 'Search this area',
+  },
+  nearMe: {
+    id: 'Near me',
+    defaultMessage: 'Near me',
+  },
+  recentSearches: {
+    id: 'Your recent searches',
+    defaultMessage: 'Your recent searches',
+  },
+  popularSearches: {
+    id: 'Popular searches',
+    defaultMessage: 'Popular searches',
+  },
+  removeAreaFilter: {
+    id: 'Remove area filter',
+    defaultMessage: 'Remove area filter',
+  },
+  // more like this
+  similar: {
+    id: 'Similar',
+    defaultMessage: 'Similar',
+  },
+  similarTo: {
+    id: 'Documents similar to "{title}"',
+    defaultMessage: 'Documents similar to "{title}"',
+  },
+  similarDocuments: {
+    id: 'Similar documents',
+    defaultMessage: 'Similar documents',
+  },
+  backToSearch: {
+    id: 'Back to search',
+    defaultMessage: 'Back to search',
+  },
+  thisArea: {
+    id: 'This area',
+    defaultMessage: 'This area',
+  },
+  wholeSite: {
+    id: 'Whole site',
+    defaultMessage: 'Whole site',
+  },
+  language: {
+    id: 'Language',
+    defaultMessage: 'Language',
+  },
+  allLanguages: {
+    id: 'All languages',
+    defaultMessage: 'All languages',
+  },
+  filterOptions: {
+    id: 'Filter options',
+    defaultMessage: 'Filter options',
+  },
+  showMore: {
+    id: 'Show more',
+    defaultMessage: 'Show more',
+  },
+  showLess: {
+    id: 'Show less',
+    defaultMessage: 'Show less',
+  },
+  notSpecified: {
+    id: 'not specified',
+    defaultMessage: 'not specified',
+  },
+  exclude: {
+    id: 'Exclude',
+    defaultMessage: 'Exclude',
+  },
+  childField: {
+    id: 'Child field',
+    defaultMessage: 'Child field',
+  },
+  expand: {
+    id: 'Expand',
+    defaultMessage: 'Expand',
+  },
+  collapse: {
+    id: 'Collapse',
+    defaultMessage: 'Collapse',
+  },
   multipleChoices: {
     id: 'Multiple choices?',
     defaultMessage: 'Multiple choices?',
@@ -50,6 +164,69 @@ const messages = defineMessages({
     id: 'Search results',
     defaultMessage: 'Search results',
   },
+  moreThanResults: {
+    id: 'More than {total} search results',
+    defaultMessage: 'More than {total} search results',
+  },
+  relatedItems: {
+    id: '{count, plural, one {+# related item} other {+# related items}}',
+    defaultMessage:
+      '{count, plural, one {+# related item} other {+# related items}}',
+  },
+  // sorting
+  relevance: {
+    id: 'Relevance',
+    defaultMessage: 'Relevance',
+  },
+  sortableTitle: {
+    id: 'Title A–Z',
+    defaultMessage: 'Title A–Z',
+  },
+  effective: {
+    id: 'Publication date',
+    defaultMessage: 'Publication date',
+  },
+  modified: {
+    id: 'Date',
+    defaultMessage: 'Date',
+  },
+  created: {
+    id: 'Creation date',
+    defaultMessage: 'Creation date',
+  },
+  // range facets
+  last7days: {
+    id: 'Last 7 days',
+    defaultMessage: 'Last 7 days',
+  },
+  lastmonth: {
+    id: 'Last month',
+    defaultMessage: 'Last month',
+  },
+  lastyear: {
+    id: 'Last year',
+    defaultMessage: 'Last year',
+  },
+  customRange: {
+    id: 'Custom range',
+    defaultMessage: 'Custom range',
+  },
+  from: {
+    id: 'From',
+    defaultMessage: 'From',
+  },
+  to: {
+    id: 'To',
+    defaultMessage: 'To',
+  },
+  apply: {
+    id: 'Apply',
+    defaultMessage: 'Apply',
+  },
+  reset: {
+    id: 'Reset',
+    defaultMessage: 'Reset',
+  },
   // highlights
   title: {
     id: 'Title',